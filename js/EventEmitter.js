@@ -0,0 +1,60 @@
+// ========== СОБЫТИЯ ==========
+// Минимальный эмиттер событий: on/off/once/emit.
+// Ошибка в одном обработчике не прерывает остальные и не ломает цикл анимации.
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Имя события → Set обработчиков
+    }
+
+    // Подписка на событие. Возвращает функцию отписки
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    // Одноразовая подписка: обработчик снимается после первого вызова
+    once(eventName, listener) {
+        const wrapper = (payload) => {
+            this.off(eventName, wrapper);
+            listener(payload);
+        };
+        return this.on(eventName, wrapper);
+    }
+
+    off(eventName, listener) {
+        const set = this.listeners.get(eventName);
+        if (!set) {
+            return;
+        }
+        set.delete(listener);
+        if (set.size === 0) {
+            this.listeners.delete(eventName);
+        }
+    }
+
+    emit(eventName, payload) {
+        const set = this.listeners.get(eventName);
+        if (!set) {
+            return;
+        }
+        // Копируем набор, чтобы отписка внутри обработчика не влияла на текущий обход
+        for (const listener of [...set]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Ошибка в обработчике события "${eventName}":`, error);
+            }
+        }
+    }
+
+    hasListeners(eventName) {
+        return this.listeners.has(eventName);
+    }
+
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
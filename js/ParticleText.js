@@ -0,0 +1,2211 @@
+import * as THREE from 'three';
+import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
+import { FontLoader, Font } from 'three/addons/loaders/FontLoader.js';
+import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
+import { EventEmitter } from './EventEmitter.js';
+import { ParticleSimulation } from './simulation.js';
+import { WorkerSimulation } from './workerSimulation.js';
+import { createDefaultConfig, DEFAULT_PRESETS } from './config.js';
+import { createRandom } from './random.js';
+import { PARAMETER_SCHEMA } from './parameterSchema.js';
+import { getPresetOverrides, findPresetForWidth } from './presets.js';
+import { loadImagePixels, createImageSampler, sampleImagePoints, isInsideImage } from './imageSampling.js';
+import { createShapePolygons, getPolygonsBounds, findPolygonAt, findNearestEdge } from './shapePolygons.js';
+import { createDistanceField, sampleDistanceField } from './distanceField.js';
+
+export { createDefaultConfig, DEFAULT_PRESETS };
+
+// Размер видимой области ортографической камеры
+const VIEW_SIZE = 20;
+
+// Параметры, изменение которых требует пересоздания системы точек
+const RECREATE_CONFIG_KEYS = new Set(
+    PARAMETER_SCHEMA.filter(param => param.requiresRecreate).map(param => param.key)
+);
+// Параметры, влияющие на масштаб формы
+const SHAPE_CONFIG_KEYS = new Set(['sphereRadius', 'paddingX', 'paddingY']);
+// Параметры источника формы: изменение требует новой формы и новой раскладки
+const SOURCE_CONFIG_KEYS = new Set([
+    'text',
+    'fontPath',
+    'imagePath',
+    'imageSampling',
+    'imageColors',
+    'svgColors',
+    'samplingMode',
+    'outlineRatio',
+    'fillSampling',
+    'extrudeDepth',
+    'bevelThickness',
+    'bevelSize'
+]);
+
+// Длительность морфинга по умолчанию (мс)
+const DEFAULT_MORPH_DURATION = 1500;
+
+const MAX_OPTIMIZED_GLOW_RADIUS = 20;
+const GLOW_RENDER_SCALE_DESKTOP = 0.5;
+const GLOW_RENDER_SCALE_MOBILE = 0.33;
+const GLOW_BRIGHTNESS_MULTIPLIER = 1.5;
+
+// Blue noise выборка: начальный радиус в долях шага гексагональной упаковки, уменьшение радиуса
+// и число отклонённых подряд кандидатов, после которого он уменьшается
+const BLUE_NOISE_RADIUS_FACTOR = 0.75;
+const BLUE_NOISE_RADIUS_DECAY = 0.95;
+const BLUE_NOISE_MAX_REJECTIONS = 30;
+
+// Точки вокруг формы: предел числа кандидатов на одну точку
+const OUTSIDE_MAX_ATTEMPTS_FACTOR = 100;
+
+// ========== СОЗДАНИЕ КРУГЛОЙ ТЕКСТУРЫ ==========
+function createCircleTexture(size = 64) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const center = size / 2;
+    // Уменьшаем радиус чтобы создать прозрачную границу - это предотвращает артефакты
+    // при масштабировании координат в шейдере (гипотеза F)
+    const radius = center - 2;
+
+    // Очищаем canvas прозрачным цветом
+    ctx.clearRect(0, 0, size, size);
+
+    // Сплошной белый круг с уменьшенным радиусом
+    ctx.fillStyle = 'rgba(255, 255, 255, 1)';
+    ctx.beginPath();
+    ctx.arc(center, center, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+
+    const texture = new THREE.CanvasTexture(canvas);
+    // Устанавливаем premultipliedAlpha в false для правильного смешивания прозрачности
+    texture.premultipliedAlpha = false;
+    return texture;
+}
+
+// ========== СОЗДАНИЕ ТЕКСТУРЫ ТОЛЬКО СВЕЧЕНИЯ (без ядра) ==========
+function createGlowTexture(size = 256) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const center = (size - 1) / 2;
+    const radius = size / 2;
+    const invRadius = 1 / radius;
+    const falloff = 2.2;
+    const ditherStrength = 1 / 255;
+
+    const imageData = ctx.createImageData(size, size);
+    const data = imageData.data;
+
+    for (let y = 0; y < size; y++) {
+        const dy = (y + 0.5 - center) * invRadius;
+        for (let x = 0; x < size; x++) {
+            const dx = (x + 0.5 - center) * invRadius;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            let alpha = 0;
+
+            if (dist < 1) {
+                alpha = Math.pow(1 - dist, falloff);
+                const seed = (x * 374761393 + y * 668265263) >>> 0;
+                let hashed = (seed ^ (seed >>> 13)) >>> 0;
+                hashed = (hashed * 1274126177) >>> 0;
+                const rand = (hashed & 255) / 255;
+                alpha = Math.min(1, Math.max(0, alpha + (rand - 0.5) * ditherStrength));
+            }
+
+            const idx = (y * size + x) * 4;
+            data[idx] = 255;
+            data[idx + 1] = 255;
+            data[idx + 2] = 255;
+            data[idx + 3] = Math.round(alpha * 255);
+        }
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.premultipliedAlpha = false;
+    texture.generateMipmaps = false;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    return texture;
+}
+
+// ========== ШЕЙДЕРЫ ==========
+// Вершинный шейдер (core-only): без увеличения радиуса
+const coreVertexShader = `
+    attribute float size;
+    attribute vec3 color;
+    uniform float sizeScale;
+    varying vec3 vColor;
+
+    void main() {
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * sizeScale;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Фрагментный шейдер (core-only): только ядро точки
+const coreFragmentShader = `
+    uniform sampler2D pointTexture;
+    varying vec3 vColor;
+
+    void main() {
+        vec2 centered = gl_PointCoord - 0.5;
+        float dist = length(centered) * 2.0; // 0 в центре, 1 на краях
+        float coreMask = 1.0 - smoothstep(0.9, 1.0, dist);
+
+        vec4 coreColor = texture2D(pointTexture, gl_PointCoord);
+        coreColor.a *= coreMask;
+
+        vec3 coreContrib = coreColor.rgb * coreColor.a;
+        gl_FragColor = vec4(vColor * coreContrib, coreColor.a);
+    }
+`;
+
+// Вершинный шейдер (glow-only): увеличенный радиус
+const glowVertexShader = `
+    attribute float size;
+    attribute vec3 color;
+    attribute float glow;
+    uniform float sizeScale;
+    uniform float glowRadiusMultiplier;
+    varying vec3 vColor;
+    varying float vGlow;
+
+    void main() {
+        vColor = color;
+        vGlow = glow;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        float glowSize = 1.0 + glow * glowRadiusMultiplier;
+        gl_PointSize = size * sizeScale * glowSize;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Фрагментный шейдер (glow-only): только свечение
+const glowFragmentShader = `
+    uniform sampler2D glowTexture;
+    uniform float glowBrightnessMultiplier;
+    varying vec3 vColor;
+    varying float vGlow;
+
+    void main() {
+        vec4 glowColor = texture2D(glowTexture, gl_PointCoord);
+        vec3 glowContrib = glowColor.rgb * vGlow * glowBrightnessMultiplier;
+        float finalAlpha = glowColor.a * vGlow;
+        gl_FragColor = vec4(vColor * glowContrib, finalAlpha);
+    }
+`;
+
+function detachPoints(pointsObject) {
+    if (!pointsObject) {
+        return;
+    }
+    if (pointsObject.parent) {
+        pointsObject.parent.remove(pointsObject);
+    }
+    pointsObject.geometry = null;
+    pointsObject.material = null;
+}
+
+// ========== ГЕОМЕТРИЯ ==========
+// Индекс первого элемента cumulative (накопленные веса), который не меньше target — бинарный поиск
+function findCumulativeIndex(cumulative, target) {
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (cumulative[middle] >= target) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+// Blue noise (Poisson-disk) выборка: ровно count точек sample() на расстоянии не меньше radius
+// друг от друга, без сгустков и пустот равномерной случайной выборки.
+// Кандидат отбрасывается, если рядом уже есть точка. Радиус начинается чуть меньше шага
+// гексагональной упаковки count точек на площади area и уменьшается, когда кандидаты
+// долго отклоняются подряд, — так набирается ровно count точек. bounds — Box3 формы
+function sampleBlueNoise(sample, count, area, bounds) {
+    const points = [];
+    if (count <= 0) {
+        return points;
+    }
+
+    // Шаг гексагональной упаковки: на точку приходится (√3 / 2) · d² площади
+    let radius = Math.sqrt(2 * area / (Math.sqrt(3) * count)) * BLUE_NOISE_RADIUS_FACTOR;
+    // Ячейка сетки не меньше радиуса: соседи ищутся в 3 × 3 ячейках и при уменьшении радиуса
+    const cellSize = radius;
+    const columns = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / cellSize) + 1);
+    const rows = Math.max(1, Math.ceil((bounds.max.y - bounds.min.y) / cellSize) + 1);
+    const grid = new Map();
+    const getCell = (value, min, size) => Math.max(0, Math.min(size - 1, Math.floor((value - min) / cellSize)));
+
+    let rejections = 0;
+    while (points.length < count) {
+        const candidate = sample();
+        const column = getCell(candidate.x, bounds.min.x, columns);
+        const row = getCell(candidate.y, bounds.min.y, rows);
+        const radiusSq = radius * radius;
+
+        let tooClose = false;
+        for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1) && !tooClose; r++) {
+            for (let c = Math.max(0, column - 1); c <= Math.min(columns - 1, column + 1) && !tooClose; c++) {
+                const cellPoints = grid.get(r * columns + c);
+                if (!cellPoints) continue;
+                for (const point of cellPoints) {
+                    const dx = point.x - candidate.x;
+                    const dy = point.y - candidate.y;
+                    if (dx * dx + dy * dy < radiusSq) {
+                        tooClose = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (tooClose) {
+            if (++rejections >= BLUE_NOISE_MAX_REJECTIONS) {
+                radius *= BLUE_NOISE_RADIUS_DECAY;
+                rejections = 0;
+            }
+            continue;
+        }
+
+        rejections = 0;
+        points.push(candidate);
+        const key = row * columns + column;
+        const cellPoints = grid.get(key);
+        if (cellPoints) {
+            cellPoints.push(candidate);
+        } else {
+            grid.set(key, [candidate]);
+        }
+    }
+
+    return points;
+}
+
+// Функция для получения точек для закрашивания SVG формы (2D плоскость)
+// Генерирует точки на поверхности SVG для их закрашивания.
+// colors — Float32Array (count × 3): заполняется цветом треугольника, если у геометрии есть атрибут color.
+// distribution — 'random' (равномерно случайно) или 'blueNoise' (равномерно разнесённые точки)
+function getShapeVolumePoints(shapeGeometry, count, random = Math.random, colors = null, distribution = 'random') {
+    const points = [];
+    const positions = shapeGeometry.attributes.position;
+    const vertexColors = colors ? shapeGeometry.attributes.color : null;
+    const indices = shapeGeometry.index;
+    const tempEdge1 = new THREE.Vector3();
+    const tempEdge2 = new THREE.Vector3();
+    const tempNormal = new THREE.Vector3();
+
+    // Получаем все вершины из геометрии текста
+    const vertices = [];
+    for (let i = 0; i < positions.count; i++) {
+        const v = new THREE.Vector3(
+            positions.getX(i),
+            positions.getY(i),
+            positions.getZ(i)
+        );
+        vertices.push(v);
+    }
+
+    // Вычисляем площади треугольников для равномерного распределения
+    const triangles = [];
+    let totalArea = 0;
+
+    if (indices && indices.count > 0) {
+        // Используем существующие индексы
+        for (let i = 0; i < indices.count; i += 3) {
+            const i1 = indices.getX(i);
+            const i2 = indices.getX(i + 1);
+            const i3 = indices.getX(i + 2);
+
+            const v1 = vertices[i1];
+            const v2 = vertices[i2];
+            const v3 = vertices[i3];
+
+            // Вычисляем площадь треугольника
+            tempEdge1.subVectors(v2, v1);
+            tempEdge2.subVectors(v3, v1);
+            const area = tempEdge1.cross(tempEdge2).length() * 0.5;
+
+            // Игнорируем вырожденные треугольники (слишком маленькие)
+            if (area > 0.0001) {
+                triangles.push({ v1, v2, v3, area, colorIndex: i1 });
+                totalArea += area;
+            }
+        }
+    } else {
+        // Если нет индексов, создаем треугольники из позиций напрямую
+        for (let i = 0; i < vertices.length - 2; i += 3) {
+            const v1 = vertices[i];
+            const v2 = vertices[i + 1];
+            const v3 = vertices[i + 2];
+
+            // Вычисляем площадь треугольника
+            tempEdge1.subVectors(v2, v1);
+            tempEdge2.subVectors(v3, v1);
+            const area = tempEdge1.cross(tempEdge2).length() * 0.5;
+
+            if (area > 0.0001) {
+                triangles.push({ v1, v2, v3, area, colorIndex: i });
+                totalArea += area;
+            }
+        }
+    }
+
+    if (triangles.length === 0) {
+        // Fallback: используем вершины
+        if (vertices.length <= count) {
+            return vertices.map(v => v.clone());
+        }
+        const step = vertices.length / count;
+        for (let i = 0; i < count; i++) {
+            const index = Math.floor(i * step);
+            points.push(vertices[index].clone());
+        }
+        return points;
+    }
+
+    // Фильтруем треугольники: используем только те, что обращены "вверх" (нормаль с положительным Z)
+    // Это исключает внутренние грани отверстий
+    const frontFacingTriangles = [];
+    let frontFacingArea = 0;
+
+    for (const tri of triangles) {
+        // Вычисляем нормаль треугольника
+        tempEdge1.subVectors(tri.v2, tri.v1);
+        tempEdge2.subVectors(tri.v3, tri.v1);
+        const normal = tempNormal.crossVectors(tempEdge1, tempEdge2);
+
+        // Используем только треугольники с нормалью, направленной вверх (Z > 0)
+        // Это исключает внутренние грани отверстий
+        if (normal.z > 0 && normal.length() > 0.0001) {
+            frontFacingTriangles.push({ ...tri, area: tri.area });
+            frontFacingArea += tri.area;
+        }
+    }
+
+    // Если нет треугольников, обращённых вверх, используем все
+    const trianglesToUse = frontFacingTriangles.length > 0 ? frontFacingTriangles : triangles;
+    const areaToUse = frontFacingTriangles.length > 0 ? frontFacingArea : totalArea;
+
+    // Вычисляем накопленные площади для выбранных треугольников
+    const filteredCumulativeAreas = new Float64Array(trianglesToUse.length);
+    let filteredCumulativeSum = 0;
+    for (let j = 0; j < trianglesToUse.length; j++) {
+        filteredCumulativeSum += trianglesToUse[j].area;
+        filteredCumulativeAreas[j] = filteredCumulativeSum;
+    }
+
+    // Случайная точка на поверхности букв (2D плоскость): треугольник выбирается взвешенно по площади
+    const sampleSurfacePoint = () => {
+        const triangle = trianglesToUse[findCumulativeIndex(filteredCumulativeAreas, random() * areaToUse)];
+
+        // Генерируем случайную точку на поверхности треугольника
+        let u = random();
+        let v = random();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        const w = 1 - u - v;
+
+        const surfacePoint = new THREE.Vector3();
+        surfacePoint.addScaledVector(triangle.v1, u);
+        surfacePoint.addScaledVector(triangle.v2, v);
+        surfacePoint.addScaledVector(triangle.v3, w);
+
+        // Устанавливаем Z в 0 для плоского текста (проецируем на плоскость Z=0)
+        surfacePoint.z = 0;
+        surfacePoint.colorIndex = triangle.colorIndex;
+        return surfacePoint;
+    };
+
+    const surfacePoints = distribution === 'blueNoise'
+        ? sampleBlueNoise(sampleSurfacePoint, count, areaToUse, shapeGeometry.boundingBox)
+        : Array.from({ length: count }, sampleSurfacePoint);
+
+    // Все вершины одного shape имеют цвет его path — берём цвет первой вершины треугольника
+    if (vertexColors) {
+        surfacePoints.forEach((point, i) => {
+            colors[i * 3] = vertexColors.getX(point.colorIndex);
+            colors[i * 3 + 1] = vertexColors.getY(point.colorIndex);
+            colors[i * 3 + 2] = vertexColors.getZ(point.colorIndex);
+        });
+    }
+
+    // Если точек недостаточно, дублируем существующие
+    if (surfacePoints.length === 0) {
+        console.error('Не удалось сгенерировать точки! triangles:', triangles.length, 'vertices:', vertices.length);
+    } else if (surfacePoints.length < count) {
+        // Если точек меньше нужного, дублируем существующие
+        const needed = count - surfacePoints.length;
+        for (let i = 0; i < needed; i++) {
+            const index = i % surfacePoints.length;
+            surfacePoints.push(surfacePoints[index].clone());
+        }
+    }
+
+    // Возвращаем сгенерированные точки
+    return surfacePoints.map(p => p.clone());
+}
+
+// Функция для получения точек вдоль контуров формы (режим outline).
+// Точки идут с равным шагом по длине дуги всех контуров; у path с обводкой точка смещается
+// по нормали в пределах толщины обводки. outlines — [{ curve, strokeWidth, color }] в координатах
+// источника, transform — { scaleX, scaleY, offsetX, offsetY } переводит их в координаты геометрии.
+// colors — Float32Array (count × 3) для цвета контура или null
+function getOutlinePoints(outlines, count, transform, random = Math.random, colors = null) {
+    const lengths = outlines.map(outline => outline.curve.getLength());
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    if (count === 0 || totalLength <= 0) {
+        return [];
+    }
+
+    const points = [];
+    const color = new THREE.Color();
+    const step = totalLength / count;
+    let distance = random() * step; // Случайная фаза шага (при заданном seed повторяется)
+    let curveIndex = 0;
+    let curveStart = 0;
+
+    for (let i = 0; i < count; i++, distance += step) {
+        // Переходим к контуру, на который приходится текущая длина
+        while (curveIndex < outlines.length - 1 && distance >= curveStart + lengths[curveIndex]) {
+            curveStart += lengths[curveIndex];
+            curveIndex++;
+        }
+        const outline = outlines[curveIndex];
+        const u = Math.min(1, Math.max(0, (distance - curveStart) / (lengths[curveIndex] || 1)));
+
+        // У CurvePath (Path, Shape) параметр getPoint уже пропорционален длине дуги
+        const point = outline.curve.getPoint(u);
+        let x = point.x;
+        let y = point.y;
+        if (outline.strokeWidth > 0) {
+            const tangent = outline.curve.getTangent(u);
+            const offset = (random() - 0.5) * outline.strokeWidth;
+            x -= tangent.y * offset;
+            y += tangent.x * offset;
+        }
+        points.push(new THREE.Vector3(
+            x * transform.scaleX + transform.offsetX,
+            y * transform.scaleY + transform.offsetY,
+            0
+        ));
+
+        if (colors && outline.color) {
+            outline.color.getRGB(color, THREE.SRGBColorSpace);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+    }
+
+    return points;
+}
+
+// Функция для получения точек в объёме выдавленной формы (config.extrudeDepth > 0).
+// Тело совпадает с THREE.ExtrudeGeometry тех же shapes (depth, bevelThickness, bevelSize),
+// отцентрованной по Z: между крышками контур расширен на bevelSize, к крышкам фаска сужается
+// по четверти эллипса. Попадание проверяется по контурам в 2D (polygons — createShapePolygons):
+// raycast по треугольникам боковых стенок для тысяч точек слишком медленный.
+// shapeColors — цвет каждого shape ({ r, g, b }) или null, colors — Float32Array (count × 3)
+function getExtrudedVolumePoints(polygons, count, extrude, random = Math.random, shapeColors = null, colors = null) {
+    const { depth, bevelThickness, bevelSize } = extrude;
+    const halfDepth = depth / 2;
+    const halfSpan = halfDepth + bevelThickness;
+    const bounds = getPolygonsBounds(polygons);
+    const minX = bounds.minX - bevelSize;
+    const minY = bounds.minY - bevelSize;
+    const width = bounds.maxX - bounds.minX + bevelSize * 2;
+    const height = bounds.maxY - bounds.minY + bevelSize * 2;
+    const points = [];
+    const maxAttempts = count * 100;
+
+    // Равномерно по объёму: случайные точки в габаритах тела, лишние отбрасываются
+    for (let attempt = 0; points.length < count && attempt < maxAttempts; attempt++) {
+        const x = minX + random() * width;
+        const y = minY + random() * height;
+        const z = (random() * 2 - 1) * halfSpan;
+
+        let index = findPolygonAt(polygons, x, y);
+        if (index < 0 && bevelSize > 0) {
+            // Снаружи контура — только фаска: на глубине z контур расширен на expansion
+            const overCap = Math.max(0, Math.abs(z) - halfDepth);
+            const expansion = bevelThickness > 0
+                ? bevelSize * Math.sqrt(Math.max(0, 1 - (overCap / bevelThickness) ** 2))
+                : bevelSize;
+            if (expansion > 0) {
+                index = findNearestEdge(polygons, x, y, expansion).index;
+            }
+        }
+        if (index < 0) continue;
+
+        if (colors && shapeColors) {
+            const i3 = points.length * 3;
+            colors[i3] = shapeColors[index].r;
+            colors[i3 + 1] = shapeColors[index].g;
+            colors[i3 + 2] = shapeColors[index].b;
+        }
+        points.push(new THREE.Vector3(x, y, z));
+    }
+
+    if (points.length === 0) {
+        console.error('Не удалось сгенерировать точки в объёме формы');
+        return points;
+    }
+    // Если точек меньше нужного (вырожденная форма), дублируем существующие
+    for (let i = points.length; i < count; i++) {
+        const index = i % points.length;
+        if (colors && shapeColors) {
+            colors.copyWithin(i * 3, index * 3, index * 3 + 3);
+        }
+        points.push(points[index].clone());
+    }
+    return points;
+}
+
+// Разносит точки по глубине выдавливания: контуры становятся боковыми стенками,
+// изображение — призмой
+function spreadPointsInDepth(points, depth, random = Math.random) {
+    for (const point of points) {
+        point.z = (random() - 0.5) * depth;
+    }
+}
+
+// Генерация точек снаружи формы: случайные точки видимой области, не попавшие в форму.
+// isInside(x, y) — проверка попадания в 2D (многоугольники shapes или пиксели изображения);
+// она быстрая, поэтому точки набираются синхронно и ровно targetCount. Если форма закрывает
+// почти всю область, попытки ограничены — тогда точек меньше.
+// density(x, y) — вероятность оставить точку (0..1) для неравномерной плотности или null
+function generateOutsidePoints(isInside, targetCount, viewportBounds, random = Math.random, density = null) {
+    const outsidePoints = [];
+    const width = viewportBounds.right - viewportBounds.left;
+    const height = viewportBounds.top - viewportBounds.bottom;
+    const maxAttempts = targetCount * OUTSIDE_MAX_ATTEMPTS_FACTOR;
+
+    for (let attempt = 0; outsidePoints.length < targetCount && attempt < maxAttempts; attempt++) {
+        const x = viewportBounds.left + random() * width;
+        const y = viewportBounds.bottom + random() * height;
+        // На той же плоскости, что и форма
+        if (!isInside(x, y) && (!density || random() < density(x, y))) {
+            outsidePoints.push(new THREE.Vector3(x, y, 0));
+        }
+    }
+
+    if (outsidePoints.length < targetCount) {
+        console.warn(`Вокруг формы поместилось ${outsidePoints.length} точек из ${targetCount}`);
+    }
+    return outsidePoints;
+}
+
+// ========== КЛАСС ParticleText ==========
+// Самостоятельный экземпляр визуализации: собственные renderer, сцены, камера и буферы частиц.
+// Можно монтировать несколько экземпляров на одной странице.
+//
+// container — элемент, в который добавляется canvas (document.body = полноэкранный режим)
+// options:
+//   config    — переопределения параметров из createDefaultConfig()
+//   presets   — набор пресетов { [имя]: пресет } (по умолчанию DEFAULT_PRESETS, формат в js/presets.js)
+//   preset    — имя пресета или 'auto' (выбор по breakpoint пресетов и ширине контейнера)
+//   svgPath   — путь к SVG, если не используется пресет
+//   maxFPS    — ограничение FPS (0 = без ограничения)
+//   autoStart — запускать цикл анимации сразу (по умолчанию true)
+//   touchScroll — касания на canvas прокручивают страницу по вертикали (по умолчанию false:
+//               все жесты достаются частицам, но страницу под canvas пальцем не прокрутить)
+//   worker    — считать физику в Web Worker (по умолчанию true; без поддержки модульных
+//               воркеров физика считается в главном потоке)
+//
+// События (particleText.on(name, listener)):
+//   ready                — SVG загружен, частицы созданы
+//   presetChange         — { name, preset } пресет применён
+//   loadAnimationStart   — { duration } началась анимация появления
+//   loadAnimationEnd     — анимация появления завершилась
+//   explosion            — { id, position } взрыв по клику
+//   waveSpawn            — { id, startTime } запущена новая волна
+//   particlesRecreated   — { particleCount, totalParticleCount } система точек пересоздана
+//   morphStart           — { duration } начался переход к новой форме (morphTo)
+//   morphEnd             — переход к новой форме завершился
+//   frame                — { time } кадр отрисован
+//
+// Инициализация откладывается на микрозадачу, поэтому подписки, сделанные сразу
+// после конструктора, получают и начальные события (presetChange, loadAnimationStart, ready).
+export class ParticleText extends EventEmitter {
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.options = options;
+        this.isFullWindow = container === document.body || container === document.documentElement;
+
+        this.config = Object.assign(createDefaultConfig(), options.config);
+        // Явно заданные параметры и SVG имеют приоритет над значениями пресетов
+        this.configOverrides = { ...options.config };
+        this.svgPathOverride = options.svgPath || null;
+        this.svgDataOverride = null; // SVG из файла пользователя (setSVGFile), важнее svgPath
+        this.imageOverride = null; // Изображение из файла пользователя (setImageFile), важнее config.imagePath
+        this.presets = options.presets || DEFAULT_PRESETS;
+        this.autoPreset = options.preset === 'auto';
+        this.currentPreset = null;
+        this.presetOverrides = {}; // Параметры, заданные текущим пресетом
+        this.svgPath = this.svgPathOverride;
+
+        // Флаги состояния
+        this.isInitialized = false;
+        this.isDisposed = false;
+
+        // ========== ИНИЦИАЛИЗАЦИЯ ==========
+        const { width, height } = this.getViewportSize();
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x000000);
+        this.glowScene = new THREE.Scene();
+        this.compositeScene = new THREE.Scene();
+        this.compositeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+        // Ортографическая камера для устранения перспективных искажений
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        this.camera.position.set(0, 0, 12);
+        this.updateCameraFrustum(width, height);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, powerPreference: "high-performance" });
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        // Настраиваем рендерер для правильного смешивания прозрачности
+        this.renderer.setClearColor(0x000000, 1);
+        this.mountCanvas();
+
+        this.glowRenderTarget = null;
+        this.glowCompositeMaterial = null;
+        this.glowCompositeQuad = null;
+
+        // ========== ЧАСТИЦЫ ==========
+        // Буферы частиц и физика живут в ParticleSimulation (в воркере или в главном потоке);
+        // здесь только GPU-представление
+        this.simulation = options.worker !== false && WorkerSimulation.isSupported()
+            ? new WorkerSimulation(this.config, { onFallback: (simulation) => this.handleSimulationFallback(simulation) })
+            : new ParticleSimulation(this.config);
+        this.geometry = null;
+        this.points = null;
+        this.corePoints = null;
+        this.glowPoints = null;
+        this.svgGeometry = null;
+
+        // Кэш для загруженного SVG
+        this.cachedSVGData = null;
+        this.svgLoadPromise = null;
+        // Пиксели изображения и источник, из которого они загружены (File или путь)
+        this.cachedImagePixels = null;
+        this.cachedImageSource = null;
+        // Шрифт текстового режима: загруженный по config.fontPath или заданный через setFont()
+        this.cachedFont = null;
+        this.cachedFontPath = null;
+        this.fontOverride = null;
+        // Кэш для базового размера SVG (чтобы не вычислять каждый раз)
+        this.cachedSVGBaseSize = null;
+        this.cachedSVGWidth = null;
+        this.cachedSVGHeight = null;
+
+        this.circleTexture = createCircleTexture(64);
+        this.glowTexture = createGlowTexture();
+
+        this.coreMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                pointTexture: { value: this.circleTexture },
+                sizeScale: { value: this.calculateSizeScale() }
+            },
+            vertexShader: coreVertexShader,
+            fragmentShader: coreFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.glowMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                glowTexture: { value: this.glowTexture },
+                sizeScale: { value: this.calculateSizeScale() },
+                glowRadiusMultiplier: { value: Math.min(this.config.glowRadius, MAX_OPTIMIZED_GLOW_RADIUS) },
+                glowBrightnessMultiplier: { value: GLOW_BRIGHTNESS_MULTIPLIER }
+            },
+            vertexShader: glowVertexShader,
+            fragmentShader: glowFragmentShader,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.updateSizeScale();
+        this.updateGlowUniforms();
+        this.ensureGlowRenderTarget();
+
+        // ========== ВЗАИМОДЕЙСТВИЕ ==========
+        // Активные указатели по pointerId: мышь, перо и каждый палец на сенсорном экране
+        // действуют на частицы одновременно, каждый со своей скоростью
+        this.pointers = new Map();
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        // Состояния указателей, передаваемые в симуляцию (массив переиспользуется каждый кадр)
+        this.pointerInputs = [];
+        this.explosionIdCounter = 0;
+
+        // ========== СКРОЛЛ ==========
+        this.scrollProgress = 0; // Нормализованная позиция скролла (0-1)
+        this.previousScrollProgress = 0;
+        this.scrollTimeout = null;
+
+        // ========== АНИМАЦИЯ ==========
+        this.maxFPS = options.maxFPS || 0; // По умолчанию без ограничения (0 = без ограничения)
+        this.lastFrameTime = performance.now();
+        this.animationFrameId = null;
+        this.presetSwitchTimeout = null;
+        this.rebuildTimeout = null;
+        this.resizeObserver = null;
+
+        this.animate = this.animate.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handlePointerEnter = this.handlePointerEnter.bind(this);
+        this.handleExplosionClick = this.handleExplosionClick.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        this.attachListeners();
+
+        // Инициализация при загрузке
+        this.updateScrollProgress();
+
+        // Параметры начального пресета применяются сразу, чтобы this.config был готов после конструктора
+        const initialPreset = this.autoPreset ? this.getAutoPresetName() : options.preset;
+        if (initialPreset) {
+            this.applyPresetConfig(initialPreset);
+        }
+
+        this.ready = Promise.resolve().then(() => this.init());
+
+        if (options.autoStart !== false) {
+            this.start();
+        }
+    }
+
+    // Общее количество точек (внутри + снаружи SVG)
+    get totalParticleCount() {
+        return this.simulation.totalParticleCount;
+    }
+
+    // ========== РАЗМЕЩЕНИЕ CANVAS ==========
+    getViewportSize() {
+        if (this.isFullWindow) {
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        return {
+            width: Math.max(1, this.container.clientWidth),
+            height: Math.max(1, this.container.clientHeight)
+        };
+    }
+
+    mountCanvas() {
+        const canvas = this.renderer.domElement;
+        // Жесты на canvas не отдаются браузеру под прокрутку и масштаб: иначе он прерывает касания
+        // (pointercancel) и мультитач перестаёт действовать. touchScroll оставляет вертикальную прокрутку
+        canvas.style.touchAction = this.options.touchScroll ? 'pan-y' : 'none';
+        if (!this.isFullWindow) {
+            // Встроенный режим: canvas заполняет контейнер вместо fixed-позиционирования страницы
+            if (getComputedStyle(this.container).position === 'static') {
+                this.container.style.position = 'relative';
+            }
+            canvas.style.position = 'absolute';
+            canvas.style.top = '0';
+            canvas.style.left = '0';
+            canvas.style.transform = 'none';
+        }
+        this.container.appendChild(canvas);
+    }
+
+    updateCameraFrustum(width, height) {
+        const aspect = width / height;
+        this.camera.left = -VIEW_SIZE * aspect / 2;
+        this.camera.right = VIEW_SIZE * aspect / 2;
+        this.camera.top = VIEW_SIZE / 2;
+        this.camera.bottom = -VIEW_SIZE / 2;
+        this.camera.updateProjectionMatrix();
+    }
+
+    attachListeners() {
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerdown', this.handlePointerDown);
+        canvas.addEventListener('pointerup', this.handlePointerUp);
+        canvas.addEventListener('pointercancel', this.handlePointerLeave);
+        canvas.addEventListener('pointerleave', this.handlePointerLeave);
+        canvas.addEventListener('pointerenter', this.handlePointerEnter);
+        canvas.addEventListener('click', this.handleExplosionClick);
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        if (this.isFullWindow || typeof ResizeObserver === 'undefined') {
+            window.addEventListener('resize', this.handleResize);
+        } else {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.container);
+        }
+    }
+
+    detachListeners() {
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('pointermove', this.handlePointerMove);
+        canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        canvas.removeEventListener('pointerup', this.handlePointerUp);
+        canvas.removeEventListener('pointercancel', this.handlePointerLeave);
+        canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+        canvas.removeEventListener('pointerenter', this.handlePointerEnter);
+        canvas.removeEventListener('click', this.handleExplosionClick);
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('resize', this.handleResize);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+    }
+
+    // ========== СВЕЧЕНИЕ ==========
+    getGlowRenderScale() {
+        const { width, height } = this.getViewportSize();
+        const minDim = Math.min(width, height);
+        return minDim <= 700 ? GLOW_RENDER_SCALE_MOBILE : GLOW_RENDER_SCALE_DESKTOP;
+    }
+
+    updateGlowRenderTargetSize() {
+        if (!this.glowRenderTarget) {
+            return;
+        }
+        const { width, height } = this.getViewportSize();
+        const scale = this.getGlowRenderScale();
+        const pixelRatio = this.renderer.getPixelRatio();
+        const targetWidth = Math.max(1, Math.floor(width * pixelRatio * scale));
+        const targetHeight = Math.max(1, Math.floor(height * pixelRatio * scale));
+        this.glowRenderTarget.setSize(targetWidth, targetHeight);
+    }
+
+    ensureGlowRenderTarget() {
+        if (!this.glowRenderTarget) {
+            this.glowRenderTarget = new THREE.WebGLRenderTarget(1, 1, {
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter,
+                format: THREE.RGBAFormat,
+                type: THREE.UnsignedByteType,
+                depthBuffer: false,
+                stencilBuffer: false
+            });
+            this.updateGlowRenderTargetSize();
+        }
+        if (!this.glowCompositeMaterial) {
+            this.glowCompositeMaterial = new THREE.MeshBasicMaterial({
+                map: this.glowRenderTarget.texture,
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                depthTest: false,
+                depthWrite: false
+            });
+            this.glowCompositeQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.glowCompositeMaterial);
+            this.compositeScene.add(this.glowCompositeQuad);
+        } else {
+            this.glowCompositeMaterial.map = this.glowRenderTarget.texture;
+        }
+    }
+
+    // Вычисляем масштаб размера для ортографической камеры
+    // Для ортографической камеры размер точек должен быть простым
+    // Используем коэффициент, который дает правильный размер
+    calculateSizeScale() {
+        const viewportHeight = this.getViewportSize().height;
+        // Для ортографической камеры используем простой коэффициент
+        // который дает размер примерно равный базовому size в пикселях
+        // Уменьшаем в 2 раза, так как пользователь сказал, что точки в 2 раза крупнее
+        return viewportHeight / 400.0;
+    }
+
+    updateSizeScale() {
+        const sizeScale = this.calculateSizeScale();
+        this.coreMaterial.uniforms.sizeScale.value = sizeScale;
+        this.glowMaterial.uniforms.sizeScale.value = sizeScale;
+    }
+
+    updateGlowUniforms() {
+        this.glowMaterial.uniforms.glowRadiusMultiplier.value = Math.min(this.config.glowRadius, MAX_OPTIMIZED_GLOW_RADIUS);
+        this.glowMaterial.uniforms.glowBrightnessMultiplier.value = GLOW_BRIGHTNESS_MULTIPLIER;
+    }
+
+    // ========== ОБЪЕКТЫ ТОЧЕК ==========
+    setupPoints() {
+        if (this.corePoints && this.corePoints.parent) {
+            this.corePoints.parent.remove(this.corePoints);
+        }
+        if (this.glowPoints && this.glowPoints.parent) {
+            this.glowPoints.parent.remove(this.glowPoints);
+        }
+
+        if (this.corePoints) {
+            this.scene.add(this.corePoints);
+        }
+        if (this.glowPoints) {
+            this.glowScene.add(this.glowPoints);
+        }
+        this.points = this.corePoints;
+        this.updateGlowUniforms();
+    }
+
+    rebuildPointsObjects() {
+        const oldCorePoints = this.corePoints;
+        const oldGlowPoints = this.glowPoints;
+
+        this.corePoints = this.geometry ? new THREE.Points(this.geometry, this.coreMaterial) : null;
+        this.glowPoints = this.geometry ? new THREE.Points(this.geometry, this.glowMaterial) : null;
+
+        detachPoints(oldCorePoints);
+        detachPoints(oldGlowPoints);
+
+        this.setupPoints();
+    }
+
+    // Создаёт BufferGeometry поверх буферов симуляции
+    createParticleGeometry() {
+        const geometry = new THREE.BufferGeometry();
+        this.bindGeometryBuffers(geometry);
+        return geometry;
+    }
+
+    // Привязывает текущие массивы симуляции к атрибутам геометрии.
+    // Вызывается после каждой замены массивов (раскладка частиц, пересчёт размеров)
+    bindGeometryBuffers(geometry = this.geometry) {
+        if (!geometry) {
+            return;
+        }
+        // Отрисовываются интерполированные позиции между шагами физики
+        const { renderPositions, colors, sizes, glows, totalParticleCount } = this.simulation;
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(renderPositions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('glow', new THREE.BufferAttribute(glows, 1).setUsage(THREE.DynamicDrawUsage));
+
+        // Убеждаемся, что геометрия знает о количестве вершин
+        geometry.setDrawRange(0, totalParticleCount);
+    }
+
+    // Воркер симуляции отказал: дальше физика идёт в главном потоке. WorkerSimulation уже
+    // восстановил в simulation текущую раскладку — остаётся привязать её массивы к геометрии
+    handleSimulationFallback(simulation) {
+        if (this.isDisposed) {
+            return;
+        }
+        this.simulation = simulation;
+        if (this.geometry) {
+            this.replaceParticleGeometry();
+        }
+    }
+
+    // Заменяет геометрию точек и освобождает старую
+    replaceParticleGeometry() {
+        const oldGeometry = this.geometry;
+        this.geometry = this.createParticleGeometry();
+        this.rebuildPointsObjects();
+
+        // Очищаем старую геометрию после добавления нового объекта
+        if (oldGeometry && oldGeometry !== this.geometry) {
+            oldGeometry.dispose();
+        }
+    }
+
+
+    // Обновляем размеры частиц при изменении pointSize или sizeVariation
+    updateParticleSizes() {
+        this.simulation.updateSizes();
+
+        const geometry = this.geometry;
+        if (geometry && geometry.attributes.size) {
+            if (geometry.attributes.size.array !== this.simulation.sizes) {
+                geometry.setAttribute('size', new THREE.BufferAttribute(this.simulation.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+            }
+            geometry.attributes.size.needsUpdate = true;
+        }
+    }
+
+    // ========== ЗАГРУЗКА SVG ==========
+    // Функция загрузки SVG (с кэшированием)
+    loadSVG() {
+        // SVG из файла пользователя не зависит от пресета и не сбрасывается вместе с кэшем
+        if (this.svgDataOverride) {
+            return Promise.resolve(this.svgDataOverride);
+        }
+
+        // Если SVG уже загружен, возвращаем его сразу
+        if (this.cachedSVGData) {
+            return Promise.resolve(this.cachedSVGData);
+        }
+
+        // Если SVG уже загружается, возвращаем существующий промис
+        if (this.svgLoadPromise) {
+            return this.svgLoadPromise;
+        }
+
+        // Создаем новый промис для загрузки SVG
+        this.svgLoadPromise = new Promise((resolve, reject) => {
+            const loader = new SVGLoader();
+
+            loader.load(
+                this.svgPath,
+                (data) => {
+                    this.cachedSVGData = data; // Кэшируем загруженный SVG
+                    this.svgLoadPromise = null; // Сбрасываем промис после успешной загрузки
+                    resolve(data);
+                },
+                undefined,
+                (error) => {
+                    this.svgLoadPromise = null; // Сбрасываем промис при ошибке
+                    reject(new Error(`Не удалось загрузить SVG: ${error}`));
+                }
+            );
+        });
+
+        return this.svgLoadPromise;
+    }
+
+    // Загрузка шрифта для текстового режима (с кэшированием по пути)
+    async loadFont() {
+        if (this.fontOverride) {
+            return this.fontOverride;
+        }
+
+        const fontPath = this.config.fontPath;
+        if (this.cachedFont && this.cachedFontPath === fontPath) {
+            return this.cachedFont;
+        }
+
+        let font;
+        if (/\.(ttf|otf)$/i.test(fontPath)) {
+            // TTFLoader тянет за собой opentype.js, поэтому загружаем его только при необходимости
+            const { TTFLoader } = await import('three/addons/loaders/TTFLoader.js');
+            const json = await new TTFLoader().loadAsync(fontPath);
+            font = new Font(json);
+        } else {
+            font = await new FontLoader().loadAsync(fontPath);
+        }
+
+        this.cachedFont = font;
+        this.cachedFontPath = fontPath;
+        return font;
+    }
+
+    // Шрифт из локального файла или готовых данных: Font, объект typeface JSON
+    // или ArrayBuffer с TTF/OTF. null — вернуться к config.fontPath
+    async setFont(fontData) {
+        if (!fontData) {
+            this.fontOverride = null;
+        } else if (fontData instanceof Font) {
+            this.fontOverride = fontData;
+        } else if (fontData instanceof ArrayBuffer) {
+            const { TTFLoader } = await import('three/addons/loaders/TTFLoader.js');
+            this.fontOverride = new Font(new TTFLoader().parse(fontData));
+        } else {
+            this.fontOverride = new Font(fontData);
+        }
+
+        if (this.config.text) {
+            this.clearSVGCache();
+            if (this.isInitialized) {
+                await this.recreateParticles({ preserveTargets: false });
+            }
+        }
+    }
+
+    // Источник формы — изображение (текст, если задан, важнее)
+    isImageSource() {
+        return !this.config.text && Boolean(this.imageOverride || this.config.imagePath);
+    }
+
+    // Форма построена из файла пользователя (setSVGFile, setImageFile): её нет ни в CONFIG, ни в svgPath,
+    // поэтому экспорт настроек и ссылка её не передают
+    isLocalFileSource() {
+        if (this.config.text) {
+            return false;
+        }
+        return Boolean(this.imageOverride || (this.svgDataOverride && !this.config.imagePath));
+    }
+
+    // Загрузка пикселей изображения (с кэшированием по источнику)
+    async loadImagePixels() {
+        const source = this.imageOverride || this.config.imagePath;
+        if (this.cachedImagePixels && this.cachedImageSource === source) {
+            return this.cachedImagePixels;
+        }
+        const pixels = await loadImagePixels(source);
+        this.cachedImagePixels = pixels;
+        this.cachedImageSource = source;
+        return pixels;
+    }
+
+    // Shapes текущего источника: текст (config.text + шрифт), изображение или SVG.
+    // flipY — источник в координатах SVG (ось Y вниз); colors — цвет заливки каждого shape (только SVG)
+    async loadShapes() {
+        const text = this.config.text;
+        if (text) {
+            const font = await this.loadFont();
+            const shapes = font.generateShapes(text, 100);
+            if (shapes.length === 0) {
+                throw new Error(`Шрифт не содержит символов текста "${text}"`);
+            }
+            const outlines = shapes
+                .flatMap(shape => [shape, ...shape.holes])
+                .map(curve => ({ curve, strokeWidth: 0, color: null }));
+            return { shapes, flipY: false, outlines };
+        }
+
+        if (this.isImageSource()) {
+            // Прямоугольник с пропорциями изображения: задаёт масштаб и границы для выборки по пикселям
+            const { width, height } = await this.loadImagePixels();
+            const shape = new THREE.Shape();
+            shape.moveTo(0, 0);
+            shape.lineTo(width, 0);
+            shape.lineTo(width, height);
+            shape.lineTo(0, height);
+            shape.closePath();
+            return { shapes: [shape], flipY: true, outlines: [] };
+        }
+
+        // Загружаем SVG (используем кэш, если он уже загружен)
+        const svgData = await this.loadSVG();
+
+        // Получаем paths из SVG
+        if (!svgData.paths || svgData.paths.length === 0) {
+            throw new Error('SVG не содержит path элементов');
+        }
+
+        // Собираем все shapes из всех paths (вместе с цветом заливки path)
+        const allShapes = [];
+        const colors = [];
+        // Контуры для режима outline: исходные кривые path (в том числе незамкнутые) и толщина обводки
+        const outlines = [];
+
+        for (const path of svgData.paths) {
+            const shapesFromPath = SVGLoader.createShapes(path);
+            allShapes.push(...shapesFromPath);
+            for (let i = 0; i < shapesFromPath.length; i++) {
+                colors.push(path.color);
+            }
+
+            const style = path.userData?.style || {};
+            const hasStroke = style.stroke !== undefined && style.stroke !== 'none';
+            const hasFill = style.fill !== undefined && style.fill !== 'none';
+            const strokeWidth = hasStroke ? style.strokeWidth : 0;
+            // У path только с обводкой цвет контура — цвет обводки
+            const outlineColor = hasStroke && !hasFill ? new THREE.Color().setStyle(style.stroke) : path.color;
+            for (const subPath of path.subPaths) {
+                outlines.push({ curve: subPath, strokeWidth, color: outlineColor });
+            }
+        }
+
+        if (allShapes.length === 0) {
+            throw new Error('Не удалось создать shapes из SVG paths');
+        }
+
+        return { shapes: allShapes, flipY: true, colors, outlines };
+    }
+
+    // Сбрасывает кэш SVG и его размеров
+    clearSVGCache() {
+        this.cachedSVGData = null;
+        this.svgGeometry = null;
+        this.cachedSVGBaseSize = null;
+        this.cachedSVGWidth = null;
+        this.cachedSVGHeight = null;
+    }
+
+    // Функция создания геометрии из SVG (или из текста в текстовом режиме)
+    async createSVGGeometry(size = 2) {
+        const { shapes: allShapes, flipY, colors, outlines } = await this.loadShapes();
+
+        // Цвета заливки сохраняются в атрибуте color, если в SVG больше одного цвета.
+        // Одноцветный SVG остаётся белым: его цвет — обычно просто цвет макета (чёрный на белом)
+        const isMultiColor = this.config.svgColors && colors &&
+            colors.some(color => !color.equals(colors[0]));
+        const shapeColor = new THREE.Color();
+        const shapeColors = isMultiColor ? [] : null;
+
+        // Создаем геометрию из всех shapes
+        const geometries = [];
+
+        allShapes.forEach((shape, index) => {
+            const geometry = new THREE.ShapeGeometry(shape);
+            if (isMultiColor) {
+                // Цвет в sRGB: шейдеры точек выводят vColor без преобразования цветового пространства
+                colors[index].getRGB(shapeColor, THREE.SRGBColorSpace);
+                shapeColors.push({ r: shapeColor.r, g: shapeColor.g, b: shapeColor.b });
+                const vertexColors = new Float32Array(geometry.attributes.position.count * 3);
+                for (let i = 0; i < vertexColors.length; i += 3) {
+                    vertexColors[i] = shapeColor.r;
+                    vertexColors[i + 1] = shapeColor.g;
+                    vertexColors[i + 2] = shapeColor.b;
+                }
+                geometry.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+            }
+            geometries.push(geometry);
+        });
+
+        // Объединяем все геометрии в одну
+        let mergedGeometry;
+        if (geometries.length === 1) {
+            mergedGeometry = geometries[0];
+        } else {
+            // Используем BufferGeometryUtils.mergeGeometries() вместо несуществующего метода merge()
+            mergedGeometry = BufferGeometryUtils.mergeGeometries(geometries);
+        }
+
+        // Вычисляем bounding box для масштабирования
+        mergedGeometry.computeBoundingBox();
+        const bbox = mergedGeometry.boundingBox;
+        const svgWidth = bbox.max.x - bbox.min.x;
+        const svgHeight = bbox.max.y - bbox.min.y;
+        const svgMaxDimension = Math.max(svgWidth, svgHeight);
+
+        // Масштабируем геометрию
+        const scale = size / svgMaxDimension;
+        // Отрицательный Y для инверсии (SVG origin top-left, Three.js bottom-left); у шрифтов ось Y уже вверх
+        mergedGeometry.scale(scale, flipY ? -scale : scale, 1);
+
+        // Центрируем геометрию
+        mergedGeometry.computeBoundingBox();
+        const center = mergedGeometry.boundingBox.getCenter(new THREE.Vector3());
+        mergedGeometry.center();
+        mergedGeometry.computeBoundingBox();
+
+        // Контуры и shapes источника и перевод их координат в координаты геометрии
+        // (для выборки по контуру и в объёме выдавливания)
+        mergedGeometry.userData.outlines = outlines;
+        mergedGeometry.userData.shapes = allShapes;
+        mergedGeometry.userData.shapeColors = shapeColors;
+        mergedGeometry.userData.transform = {
+            scaleX: scale,
+            scaleY: flipY ? -scale : scale,
+            offsetX: -center.x,
+            offsetY: -center.y
+        };
+
+        return mergedGeometry;
+    }
+
+    // Функция вычисления оптимального размера SVG
+    // Использует алгоритм "contain" — масштабирует SVG так, чтобы он помещался целиком
+    // с учётом минимальных отступов по X и Y
+    async calculateOptimalSVGSize(baseSize = 1.0) {
+        if (this.cachedSVGBaseSize === null) {
+            // Создаем временную геометрию для вычисления bounding box
+            const tempGeometry = await this.createSVGGeometry(baseSize);
+            tempGeometry.computeBoundingBox();
+
+            // Вычисляем размеры SVG
+            const bbox = tempGeometry.boundingBox;
+            this.cachedSVGWidth = bbox.max.x - bbox.min.x;
+            this.cachedSVGHeight = bbox.max.y - bbox.min.y;
+            this.cachedSVGBaseSize = Math.max(this.cachedSVGWidth, this.cachedSVGHeight);
+
+            // Освобождаем память
+            tempGeometry.dispose();
+        }
+
+        // Для ортографической камеры вычисляем видимую область
+        const visibleWidth = this.camera.right - this.camera.left;
+        const visibleHeight = this.camera.top - this.camera.bottom;
+
+        // Доступная область с учётом отступов (paddingX и paddingY в долях)
+        const availableWidth = visibleWidth * (1 - 2 * this.config.paddingX);
+        const availableHeight = visibleHeight * (1 - 2 * this.config.paddingY);
+
+        // Вычисляем масштаб по каждому измерению
+        const scaleByWidth = availableWidth / this.cachedSVGWidth;
+        const scaleByHeight = availableHeight / this.cachedSVGHeight;
+
+        // Выбираем минимальный масштаб (contain) — чтобы форма помещалась целиком
+        const baseScaleFactor = Math.min(scaleByWidth, scaleByHeight);
+
+        return baseScaleFactor;
+    }
+
+    // ========== ГЕНЕРАЦИЯ ЧАСТИЦ ==========
+    // Функция генерации частиц на основе SVG
+    async generateParticlesFromSVG() {
+        // Раскладываем точки по буферам симуляции (начальные позиции, направления разлёта, размеры)
+        this.simulation.layoutParticles(await this.sampleShape());
+
+        // Обновляем geometry, если она уже создана
+        if (this.geometry) {
+            this.bindGeometryBuffers();
+        }
+    }
+
+    // Выборка точек текущей формы: { insidePoints, outsidePoints, shapeSize, insideColors, distanceField }
+    async sampleShape() {
+        const config = this.config;
+        const camera = this.camera;
+
+        // Вычисляем оптимальный масштаб для SVG с учётом padding (алгоритм contain)
+        // baseScaleFactor — максимальный размер, при котором форма помещается с отступами
+        const baseScaleFactor = await this.calculateOptimalSVGSize();
+
+        // Применяем sphereRadius как множитель, но ограничиваем baseScaleFactor
+        // (это максимум, который помещается с учётом padding)
+        const scaleFactor = Math.min(baseScaleFactor * config.sphereRadius, baseScaleFactor);
+        const finalSize = scaleFactor;
+
+        // Создаем финальную геометрию с правильным размером
+        const svgGeometry = await this.createSVGGeometry(finalSize);
+        svgGeometry.computeBoundingBox();
+        if (this.svgGeometry && this.svgGeometry !== svgGeometry) {
+            this.svgGeometry.dispose();
+        }
+        this.svgGeometry = svgGeometry;
+
+        // Вычисляем радиус разлёта на основе размера формы
+        const bbox = svgGeometry.boundingBox;
+        const maxDimension = Math.max(
+            bbox.max.x - bbox.min.x,
+            bbox.max.y - bbox.min.y,
+            bbox.max.z - bbox.min.z
+        );
+
+        // При заданном config.seed выборка точек повторяется от загрузки к загрузке
+        const samplingRandom = createRandom(config.seed, 'sampling');
+        let volumePoints;
+        let insideColors = null;
+        let isInside;
+        if (this.isImageSource()) {
+            // Изображение: плотность точек по весу пикселей, форма — непрозрачные (светлые) пиксели
+            const sampler = createImageSampler(await this.loadImagePixels(), config.imageSampling);
+            const bounds = { minX: bbox.min.x, maxX: bbox.max.x, minY: bbox.min.y, maxY: bbox.max.y };
+            ({ points: volumePoints, colors: insideColors } = sampleImagePoints(
+                sampler,
+                config.particleCount,
+                bounds,
+                samplingRandom,
+                config.imageColors
+            ));
+            if (config.extrudeDepth > 0) {
+                spreadPointsInDepth(volumePoints, config.extrudeDepth, samplingRandom);
+            }
+            isInside = (x, y) => isInsideImage(sampler, bounds, x, y);
+        } else {
+            // Цвета заливки SVG (если геометрия их несёт) переносятся на точки
+            insideColors = svgGeometry.attributes.color ? new Float32Array(config.particleCount * 3) : null;
+
+            // Режим выборки: заливка, контур или доля outlineRatio точек на контуре
+            const outlineCount = {
+                fill: 0,
+                outline: config.particleCount,
+                mixed: Math.round(config.particleCount * config.outlineRatio)
+            }[config.samplingMode] ?? 0;
+            const { outlines, transform, shapes } = svgGeometry.userData;
+            const polygons = createShapePolygons(shapes, transform);
+            const outlinePoints = getOutlinePoints(outlines, outlineCount, transform, samplingRandom, insideColors);
+
+            // Остальные точки (все, если контуров нет) — по заливке или по объёму выдавленной формы
+            const fillCount = config.particleCount - outlinePoints.length;
+            const fillColors = insideColors && insideColors.subarray(outlinePoints.length * 3);
+            let fillPoints = [];
+            if (fillCount > 0 && config.extrudeDepth > 0) {
+                fillPoints = getExtrudedVolumePoints(
+                    polygons,
+                    fillCount,
+                    {
+                        depth: config.extrudeDepth,
+                        bevelThickness: config.bevelThickness,
+                        bevelSize: config.bevelSize
+                    },
+                    samplingRandom,
+                    svgGeometry.userData.shapeColors,
+                    fillColors
+                );
+            } else if (fillCount > 0) {
+                fillPoints = getShapeVolumePoints(
+                    svgGeometry,
+                    fillCount,
+                    samplingRandom,
+                    fillColors,
+                    config.fillSampling
+                );
+            }
+            if (config.extrudeDepth > 0) {
+                spreadPointsInDepth(outlinePoints, config.extrudeDepth, samplingRandom);
+            }
+            volumePoints = outlinePoints.concat(fillPoints);
+
+            // Форма — заливка shapes; у выдавленной формы с фаской в плоскости Z = 0 контур шире на bevelSize
+            const bevelSize = config.extrudeDepth > 0 ? config.bevelSize : 0;
+            isInside = (x, y) => findPolygonAt(polygons, x, y) >= 0 ||
+                (bevelSize > 0 && findNearestEdge(polygons, x, y, bevelSize).index >= 0);
+        }
+
+        // Поле расстояний до края формы в видимой области: эффекты края и плотность точек вокруг формы
+        const distanceField = createDistanceField(isInside, {
+            minX: camera.left,
+            maxX: camera.right,
+            minY: camera.bottom,
+            maxY: camera.top
+        });
+
+        // ========== ГЕНЕРАЦИЯ ТОЧЕК ВОКРУГ SVG ==========
+        const viewportBounds = {
+            left: camera.left,
+            right: camera.right,
+            top: camera.top,
+            bottom: camera.bottom
+        };
+        // Ореол: плотность точек спадает с расстоянием до края (config.outsideHalo — масштаб спада)
+        const haloDensity = config.outsideHalo > 0
+            ? (x, y) => Math.exp(-Math.max(0, sampleDistanceField(distanceField, x, y)) / config.outsideHalo)
+            : null;
+        const outsidePoints = generateOutsidePoints(
+            isInside,
+            config.outsideParticleCount,
+            viewportBounds,
+            createRandom(config.seed, 'outside'),
+            haloDensity
+        );
+
+        return {
+            insidePoints: volumePoints,
+            outsidePoints,
+            shapeSize: maxDimension,
+            insideColors,
+            distanceField
+        };
+    }
+
+    // Функция пересоздания системы точек
+    // preserveTargets: сохранять целевые позиции точек внутри формы (false при смене SVG)
+    async recreateParticles({ preserveTargets = true } = {}) {
+        // Сохраняем целевые позиции точек внутри SVG перед пересозданием
+        // Это нужно, чтобы сохранить позиции точек внутри формы при изменении количества точек вне формы
+        const snapshot = preserveTargets ? this.simulation.snapshotInsideTargets() : null;
+
+        await this.generateParticlesFromSVG();
+        if (this.isDisposed) {
+            return;
+        }
+
+        // Восстанавливаем только целевые позиции и свойства точек внутри формы
+        // НЕ восстанавливаем positions и startPositions - они должны остаться для анимации появления
+        if (snapshot) {
+            this.simulation.restoreInsideTargets(snapshot);
+        }
+
+        // Создаем новую геометрию с правильным количеством точек
+        this.replaceParticleGeometry();
+
+        // Перезапускаем анимацию загрузки при пересоздании частиц
+        this.simulation.startLoadAnimation(performance.now());
+        // Обновляем исходные позиции на основе текущего скролла
+        this.updateOriginalPositionsFromScroll();
+
+        this.emitParticlesRecreated();
+        this.emit('loadAnimationStart', { duration: this.config.loadAnimationDuration });
+    }
+
+    emitParticlesRecreated() {
+        this.emit('particlesRecreated', {
+            particleCount: this.config.particleCount,
+            totalParticleCount: this.totalParticleCount
+        });
+    }
+
+    // Функция масштабирования SVG объекта
+    async scaleSVGObject(newSize) {
+        this.config.sphereRadius = newSize;
+
+        // Пересоздаем SVG геометрию с новым размером
+        this.cachedSVGBaseSize = null; // Сбрасываем кэш размера
+        this.cachedSVGWidth = null;
+        this.cachedSVGHeight = null;
+        await this.generateParticlesFromSVG();
+        if (this.isDisposed) {
+            return;
+        }
+
+        this.replaceParticleGeometry();
+        this.emitParticlesRecreated();
+    }
+
+    // ========== ПРЕСЕТЫ ==========
+    // Имя пресета, подходящего под текущую ширину контейнера.
+    // Если ни одно правило не подходит, остаётся текущий пресет (или первый из набора)
+    getAutoPresetName() {
+        const name = findPresetForWidth(this.presets, this.getViewportSize().width);
+        return name || this.currentPreset || Object.keys(this.presets)[0] || null;
+    }
+
+    // Применяет параметры пресета к config без пересоздания частиц
+    applyPresetConfig(presetName) {
+        if (!this.presets[presetName]) {
+            console.warn(`Пресет "${presetName}" не найден`);
+            return false;
+        }
+
+        const config = this.config;
+        const preset = this.presets[presetName];
+        const previousOverrides = this.presetOverrides;
+        const presetOverrides = getPresetOverrides(preset);
+        this.currentPreset = presetName;
+        this.presetOverrides = presetOverrides;
+
+        // Обновляем путь к SVG
+        this.svgPath = this.svgPathOverride || preset.svgPath;
+
+        // Параметры предыдущего пресета, которые новый не задаёт, возвращаем к значениям по умолчанию
+        const defaults = createDefaultConfig();
+        for (const key of Object.keys(previousOverrides)) {
+            if (!(key in presetOverrides)) {
+                config[key] = defaults[key];
+            }
+        }
+
+        Object.assign(config, presetOverrides, this.configOverrides);
+
+        // Очищаем кэш SVG для загрузки нового файла
+        this.clearSVGCache();
+        return true;
+    }
+
+    // Функция применения пресета (Desktop/Mobile)
+    async applyPreset(presetName, skipRecreate = false) {
+        if (!this.applyPresetConfig(presetName)) {
+            return;
+        }
+
+        this.emit('presetChange', { name: presetName, preset: this.presets[presetName] });
+
+        // Пересоздаём частицы с новым SVG (если не пропускаем)
+        if (!skipRecreate && this.isInitialized) {
+            await this.recreateParticles({ preserveTargets: false });
+            // Обновляем размеры точек после пересоздания
+            this.updateParticleSizes();
+        }
+    }
+
+    // Выбор пресета по имени или 'auto' (по ширине контейнера с автопереключением при resize)
+    async setPreset(presetName) {
+        this.autoPreset = presetName === 'auto';
+        const name = this.autoPreset ? this.getAutoPresetName() : presetName;
+        if (name === this.currentPreset && this.isInitialized) {
+            return;
+        }
+        await this.applyPreset(name);
+    }
+
+    // Замена набора пресетов во время работы. Текущий пресет применяется заново
+    // (или выбирается по ширине в режиме 'auto'), так как его параметры могли измениться
+    async setPresets(presets) {
+        this.presets = presets;
+        let name = this.autoPreset ? this.getAutoPresetName() : this.currentPreset;
+        if (!this.presets[name]) {
+            name = Object.keys(this.presets)[0];
+        }
+        if (name) {
+            await this.applyPreset(name);
+        }
+    }
+
+    // SVG из файла пользователя (File, Blob или текст разметки). Разбирается и проверяется
+    // до замены формы: при ошибке текущая форма остаётся, а сообщение можно показать пользователю.
+    // Выключает текстовый режим; частицы раскладываются заново с анимацией загрузки
+    async setSVGFile(source) {
+        await this.applyShapeSource({ svg: source });
+        if (this.isInitialized) {
+            await this.recreateParticles({ preserveTargets: false });
+        }
+    }
+
+    // Изображение из файла пользователя (File или Blob: PNG, JPG, WebP). Как и setSVGFile,
+    // проверяет файл до замены формы; выключает текстовый режим
+    async setImageFile(file) {
+        await this.applyShapeSource({ image: file });
+        if (this.isInitialized) {
+            await this.recreateParticles({ preserveTargets: false });
+        }
+    }
+
+    // Переключает источник формы без пересоздания частиц. source:
+    //   'строка' или { text } — текст ({ text: '' } — вернуться к SVG/изображению)
+    //   { svgPath }           — SVG по пути
+    //   { svg }               — SVG из File, Blob или текста разметки
+    //   { image }             — изображение из File, Blob или по пути
+    // Файлы проверяются до переключения: при ошибке источник не меняется
+    async applyShapeSource(source) {
+        if (typeof source === 'string') {
+            source = { text: source };
+        }
+
+        if ('text' in source) {
+            this.config.text = source.text;
+            delete this.configOverrides.text;
+        } else if (source.svg) {
+            const svgText = typeof source.svg === 'string' ? source.svg : await source.svg.text();
+            let svgData;
+            try {
+                svgData = new SVGLoader().parse(svgText);
+            } catch (error) {
+                throw new Error('Файл не удалось разобрать как SVG');
+            }
+            const hasShapes = svgData.paths.some(path => SVGLoader.createShapes(path).length > 0);
+            if (!hasShapes) {
+                throw new Error('В SVG нет залитых контуров (path, rect, circle...), из которых можно построить форму');
+            }
+            this.svgDataOverride = svgData;
+            this.imageOverride = null;
+            this.resetSourceConfig(['text', 'imagePath']);
+        } else if (source.svgPath) {
+            this.svgDataOverride = null;
+            this.imageOverride = null;
+            this.svgPathOverride = source.svgPath;
+            this.svgPath = source.svgPath;
+            this.resetSourceConfig(['text', 'imagePath']);
+        } else if (source.image) {
+            const pixels = await loadImagePixels(source.image);
+            if (createImageSampler(pixels, this.config.imageSampling).total <= 0) {
+                throw new Error('В изображении нет непрозрачных (или светлых) пикселей, из которых можно построить форму');
+            }
+            this.imageOverride = source.image;
+            this.cachedImagePixels = pixels;
+            this.cachedImageSource = source.image;
+            this.resetSourceConfig(['text']);
+        } else {
+            throw new Error('Неизвестный источник формы: ожидается text, svgPath, svg или image');
+        }
+        this.clearSVGCache();
+    }
+
+    // Сбрасывает параметры источника формы к пустым значениям (без пересоздания частиц)
+    resetSourceConfig(keys) {
+        for (const key of keys) {
+            this.config[key] = '';
+            delete this.configOverrides[key];
+        }
+    }
+
+    // Плавный переход тех же частиц к новой форме (без анимации загрузки).
+    // source — как в applyShapeSource; duration — мс; easing — { p1x, p1y, p2x, p2y }
+    // (по умолчанию кривая анимации загрузки)
+    async morphTo(source, { duration = DEFAULT_MORPH_DURATION, easing = this.config.loadAnimationEasingCurve } = {}) {
+        await this.applyShapeSource(source);
+        if (!this.isInitialized) {
+            return; // Форма будет построена при инициализации
+        }
+
+        const shape = await this.sampleShape();
+        if (this.isDisposed) {
+            return;
+        }
+        const previousCount = this.simulation.totalParticleCount;
+        this.simulation.morphTo({ ...shape, time: performance.now(), duration, easing: { ...easing } });
+        if (this.simulation.totalParticleCount !== previousCount) {
+            this.replaceParticleGeometry();
+        }
+        this.emit('morphStart', { duration });
+    }
+
+    // Замена SVG-источника. null — вернуться к SVG текущего пресета
+    async setSVGPath(svgPath) {
+        this.svgDataOverride = null;
+        this.imageOverride = null;
+        this.svgPathOverride = svgPath || null;
+        const presetPath = this.currentPreset ? this.presets[this.currentPreset].svgPath : null;
+        this.svgPath = this.svgPathOverride || presetPath;
+        this.clearSVGCache();
+        if (this.isInitialized) {
+            await this.recreateParticles({ preserveTargets: false });
+        }
+    }
+
+    // Изменение параметров во время работы. Значения сохраняются как явные переопределения
+    // (не сбрасываются пресетом) и сразу применяются к сцене.
+    // override: false — значения ведут себя как правки из панели: следующий пресет их перезапишет
+    setConfig(values, { override = true } = {}) {
+        const config = this.config;
+        let needsRecreate = false;
+        let needsRelayout = false;
+        let needsRescale = false;
+        let needsSizes = false;
+
+        for (const [key, value] of Object.entries(values)) {
+            if (!(key in config) || config[key] === value) {
+                continue;
+            }
+            config[key] = value;
+            if (override) {
+                this.configOverrides[key] = value;
+            }
+
+            if (SOURCE_CONFIG_KEYS.has(key)) {
+                // Другой источник или способ выборки — другая форма: сбрасываем кэш размеров и раскладываем заново
+                this.clearSVGCache();
+                needsRelayout = true;
+            } else if (RECREATE_CONFIG_KEYS.has(key)) {
+                needsRecreate = true;
+            } else if (key === 'seed') {
+                // Новое зерно — новая раскладка целиком, включая точки внутри формы
+                needsRelayout = true;
+            } else if (SHAPE_CONFIG_KEYS.has(key)) {
+                needsRescale = true;
+            } else if (key === 'pointSize' || key === 'sizeVariation') {
+                needsSizes = true;
+            } else if (key === 'glowRadius') {
+                this.updateGlowUniforms();
+            } else if (key === 'waveEnabled' && !value) {
+                // Очищаем массив активных волн при выключении
+                config.waves = [];
+                config.lastWaveTime = null;
+            } else if (key === 'explosionEnabled' && !value) {
+                // Очищаем массив активных взрывов при выключении
+                config.explosions = [];
+            } else if (key === 'scrollSpreadForce' || key === 'scrollDepth') {
+                this.updateScrollProgress();
+                this.updateOriginalPositionsFromScroll();
+            }
+        }
+
+        if (needsSizes) {
+            this.updateParticleSizes();
+        }
+        if (!this.isInitialized) {
+            return; // Новые значения будут учтены при инициализации
+        }
+        if (needsRescale) {
+            // Масштабирование пересоздаёт точки заново, поэтому покрывает и изменение их количества
+            this.scheduleRebuild(() => this.scaleSVGObject(config.sphereRadius));
+        } else if (needsRelayout) {
+            this.scheduleRebuild(() => this.recreateParticles({ preserveTargets: false }));
+        } else if (needsRecreate) {
+            this.scheduleRebuild(() => this.recreateParticles());
+        }
+    }
+
+    // Объединяет несколько изменений подряд (например, нескольких атрибутов) в одно пересоздание
+    // Ошибка пересоздания не остаётся необработанным отказом промиса, а приходит событием error
+    scheduleRebuild(rebuild) {
+        clearTimeout(this.rebuildTimeout);
+        this.rebuildTimeout = setTimeout(() => {
+            Promise.resolve().then(rebuild).catch(error => this.emitError(error));
+        }, 0);
+    }
+
+    // Событие error; без подписчиков ошибка выводится в консоль, чтобы не потеряться
+    emitError(error) {
+        if (!this.hasListeners('error')) {
+            console.error('ParticleText: ошибка пересоздания частиц:', error);
+        }
+        this.emit('error', error);
+    }
+
+    // Инициализация
+    async init() {
+        if (this.isDisposed) {
+            return;
+        }
+        if (this.currentPreset) {
+            // Начальный пресет уже применён в конструкторе — сообщаем о нём подписчикам
+            this.emit('presetChange', { name: this.currentPreset, preset: this.presets[this.currentPreset] });
+        }
+
+        await this.generateParticlesFromSVG();
+        if (this.isDisposed) {
+            return;
+        }
+
+        // Создаем geometry с текущими массивами (включая точки снаружи, если они уже добавлены)
+        this.geometry = this.createParticleGeometry();
+        this.rebuildPointsObjects();
+        this.isInitialized = true;
+
+        // Устанавливаем время начала анимации загрузки
+        this.simulation.startLoadAnimation(performance.now());
+        // Обновляем исходные позиции на основе текущего скролла
+        this.updateOriginalPositionsFromScroll();
+
+        this.emit('ready');
+        this.emit('loadAnimationStart', { duration: this.config.loadAnimationDuration });
+    }
+
+    // ========== ВЗАИМОДЕЙСТВИЕ ==========
+    // Состояние указателя event.pointerId. Скорость по смещению screenX/screenY считает симуляция
+    // (ParticleSimulation.measurePointers), поэтому она не зависит от частоты кадров и событий
+    getPointer(event) {
+        let pointer = this.pointers.get(event.pointerId);
+        if (!pointer) {
+            pointer = {
+                mouse: new THREE.Vector2(), // Позиция в нормализованных координатах (-1..1)
+                input: { id: event.pointerId, inside: true, down: false, x: 0, y: 0, z: 0, screenX: 0, screenY: 0 }
+            };
+            this.pointers.set(event.pointerId, pointer);
+            this.updatePointerPosition(pointer, event);
+        }
+        return pointer;
+    }
+
+    updatePointerPosition(pointer, event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const { mouse } = pointer;
+
+        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        pointer.input.screenX = mouse.x;
+        pointer.input.screenY = mouse.y;
+
+        this.raycaster.setFromCamera(mouse, this.camera);
+        const intersectionPoint = new THREE.Vector3();
+        this.raycaster.ray.intersectPlane(this.plane, intersectionPoint);
+        pointer.input.x = intersectionPoint.x;
+        pointer.input.y = intersectionPoint.y;
+        pointer.input.z = intersectionPoint.z;
+    }
+
+    handlePointerMove(event) {
+        this.updatePointerPosition(this.getPointer(event), event);
+    }
+
+    handlePointerDown(event) {
+        const pointer = this.getPointer(event);
+        pointer.input.down = true;
+        this.updatePointerPosition(pointer, event);
+    }
+
+    handlePointerUp(event) {
+        // Поднятый палец больше не действует на частицы; мышь остаётся над канвасом
+        if (event.pointerType === 'touch') {
+            this.pointers.delete(event.pointerId);
+            return;
+        }
+        const pointer = this.pointers.get(event.pointerId);
+        if (pointer) {
+            pointer.input.down = false;
+        }
+    }
+
+    // Указатель ушёл с канваса или жест перехвачен браузером (pointercancel):
+    // его сила и скорость больше не действуют
+    handlePointerLeave(event) {
+        this.pointers.delete(event.pointerId);
+    }
+
+    handlePointerEnter(event) {
+        this.getPointer(event);
+    }
+
+    // ========== ВЗРЫВ ПО КЛИКУ ==========
+    handleExplosionClick(event) {
+        if (!this.config.explosionEnabled) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+
+        // Вычисляем нормализованные координаты мыши
+        const clickMouse = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        // Вычисляем 3D позицию клика через raycaster
+        const clickRaycaster = new THREE.Raycaster();
+        clickRaycaster.setFromCamera(clickMouse, this.camera);
+        const clickPosition = new THREE.Vector3();
+        clickRaycaster.ray.intersectPlane(this.plane, clickPosition);
+
+        // Создаем объект взрыва
+        const explosion = {
+            position: clickPosition.clone(),
+            startTime: performance.now(),
+            id: this.explosionIdCounter++,
+            applied: false // Флаг, что импульс уже применён
+        };
+
+        // Добавляем взрыв в массив
+        this.config.explosions.push(explosion);
+        this.emit('explosion', { id: explosion.id, position: explosion.position.clone() });
+    }
+
+    // Функция обновления исходных позиций на основе скролла
+    updateOriginalPositionsFromScroll() {
+        if (!this.isInitialized) return;
+        this.simulation.applyScrollSpread(this.scrollProgress);
+    }
+
+    updateScrollProgress() {
+        const maxScroll = (this.config.scrollDepth * window.innerHeight) / 100;
+        this.previousScrollProgress = this.scrollProgress;
+        this.scrollProgress = Math.max(0, Math.min(1, window.scrollY / maxScroll));
+
+        // Обновляем исходные позиции только если scrollProgress изменился
+        if (Math.abs(this.scrollProgress - this.previousScrollProgress) > 0.001) {
+            this.updateOriginalPositionsFromScroll();
+        }
+    }
+
+    // Throttling для производительности
+    handleScroll() {
+        if (this.scrollTimeout === null) {
+            this.scrollTimeout = requestAnimationFrame(() => {
+                this.updateScrollProgress();
+                this.scrollTimeout = null;
+            });
+        }
+    }
+
+    // elapsed — реальное время с прошлого кадра (мс); симуляция отрабатывает его шагами фиксированной длины
+    updatePhysics(elapsed) {
+        const { geometry, camera } = this;
+
+        // Проверяем, что геометрия инициализирована
+        if (!this.isInitialized || !geometry || !geometry.attributes.position) {
+            return;
+        }
+
+        const pointerInputs = this.pointerInputs;
+        pointerInputs.length = 0;
+        for (const pointer of this.pointers.values()) {
+            pointerInputs.push(pointer.input);
+        }
+
+        const result = this.simulation.advance(elapsed, {
+            time: performance.now(),
+            pointers: pointerInputs,
+            cameraZ: camera.position.z,
+            viewport: {
+                width: camera.right - camera.left,
+                height: camera.top - camera.bottom
+            }
+        });
+
+        // Загружаем изменённые буферы в GPU
+        const attributes = geometry.attributes;
+        if (result.positionsChanged) {
+            attributes.position.needsUpdate = true;
+        }
+        if (result.colorsChanged && attributes.color) {
+            attributes.color.needsUpdate = true;
+        }
+        if (result.sizesChanged && attributes.size) {
+            attributes.size.needsUpdate = true;
+        }
+        if (result.glowsChanged && attributes.glow) {
+            attributes.glow.needsUpdate = true;
+        }
+
+        if (result.buffersReplaced) {
+            // Морфинг удалил погасшие частицы — массивы симуляции заменены
+            this.replaceParticleGeometry();
+        }
+
+        for (const wave of result.spawnedWaves) {
+            this.emit('waveSpawn', { id: wave.id, startTime: wave.startTime });
+        }
+        if (result.loadAnimationEnded) {
+            this.emit('loadAnimationEnd');
+        }
+        if (result.morphEnded) {
+            this.emit('morphEnd');
+        }
+    }
+
+    // Функция перезапуска анимации загрузки
+    restartLoadAnimation() {
+        const geometry = this.geometry;
+        if (!this.isInitialized || !geometry || !geometry.attributes.position) {
+            return;
+        }
+
+        this.simulation.restartLoadAnimation(performance.now());
+
+        geometry.attributes.position.needsUpdate = true;
+        if (geometry.attributes.glow) {
+            geometry.attributes.glow.needsUpdate = true;
+        }
+        this.emit('loadAnimationStart', { duration: this.config.loadAnimationDuration });
+    }
+
+    // ========== РЕНДЕРИНГ ==========
+    isGlowActive() {
+        const config = this.config;
+        if (config.glowBrightness > 0 || config.velocityGlowMultiplier > 0) {
+            return true;
+        }
+        if (config.waveEnabled && config.waveGlowIntensity > 0) {
+            return true;
+        }
+        if (config.explosionEnabled && config.explosionGlowIntensity > 0) {
+            return true;
+        }
+        return false;
+    }
+
+    renderOptimizedGlowFrame() {
+        const renderer = this.renderer;
+        this.ensureGlowRenderTarget();
+        const prevAutoClear = renderer.autoClear;
+        renderer.autoClear = false;
+
+        if (this.isGlowActive() && this.glowPoints) {
+            renderer.setRenderTarget(this.glowRenderTarget);
+            renderer.clear();
+            renderer.render(this.glowScene, this.camera);
+        } else {
+            renderer.setRenderTarget(this.glowRenderTarget);
+            renderer.clear();
+        }
+
+        renderer.setRenderTarget(null);
+        renderer.clear();
+        renderer.render(this.scene, this.camera);
+
+        if (this.glowCompositeMaterial) {
+            renderer.render(this.compositeScene, this.compositeCamera);
+        }
+
+        renderer.autoClear = prevAutoClear;
+    }
+
+    // ========== АНИМАЦИЯ ==========
+    setMaxFPS(value) {
+        this.maxFPS = value;
+        this.lastFrameTime = performance.now(); // Сбрасываем таймер при изменении
+    }
+
+    animate() {
+        this.animationFrameId = requestAnimationFrame(this.animate);
+
+        const currentTime = performance.now();
+        const deltaTime = currentTime - this.lastFrameTime;
+
+        // Ограничение FPS: если установлено ограничение и прошло недостаточно времени, пропускаем кадр
+        if (this.maxFPS > 0) {
+            const minFrameTime = 1000 / this.maxFPS; // Минимальное время между кадрами в мс
+            // Используем умный допуск: если deltaTime близок к minFrameTime (в пределах 3 мс),
+            // не пропускаем кадр, так как это может быть просто неточность таймера или синхронизация с монитором
+            // Это особенно важно, когда монитор работает на той же частоте, что и maxFPS (например, 60 Гц)
+            // Для 60 FPS minFrameTime = 16.67 мс, поэтому кадры с deltaTime >= 13.67 мс не будут пропущены
+            const tolerance = 3.0; // Допуск в 3 мс для учёта неточностей таймера и синхронизации с монитором
+
+            if (deltaTime < minFrameTime - tolerance) {
+                return; // Пропускаем этот кадр
+            }
+        }
+
+        // Обновляем время последнего кадра только если кадр был обработан
+        this.lastFrameTime = currentTime;
+
+        this.updatePhysics(deltaTime);
+        this.renderOptimizedGlowFrame();
+
+        if (this.hasListeners('frame')) {
+            this.emit('frame', { time: currentTime });
+        }
+    }
+
+    start() {
+        if (this.animationFrameId !== null || this.isDisposed) {
+            return;
+        }
+        this.lastFrameTime = performance.now();
+        this.animate();
+    }
+
+    stop() {
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    handleResize() {
+        const { width, height } = this.getViewportSize();
+
+        // Обновляем параметры ортографической камеры при изменении размера контейнера
+        this.updateCameraFrustum(width, height);
+        this.renderer.setSize(width, height);
+        this.updateSizeScale();
+        this.updateGlowRenderTargetSize();
+
+        if (!this.autoPreset) {
+            return;
+        }
+
+        // Автопереключение пресетов по ширине контейнера (с debounce)
+        clearTimeout(this.presetSwitchTimeout);
+        this.presetSwitchTimeout = setTimeout(() => {
+            const presetName = this.getAutoPresetName();
+            if (presetName !== this.currentPreset) {
+                this.applyPreset(presetName);
+            }
+        }, 300);
+    }
+
+    // Полная очистка экземпляра: останавливает цикл, снимает слушатели и освобождает GPU-ресурсы
+    dispose() {
+        if (this.isDisposed) {
+            return;
+        }
+        this.isDisposed = true;
+        this.stop();
+        this.detachListeners();
+        clearTimeout(this.presetSwitchTimeout);
+        clearTimeout(this.rebuildTimeout);
+        if (this.scrollTimeout !== null) {
+            cancelAnimationFrame(this.scrollTimeout);
+            this.scrollTimeout = null;
+        }
+
+        detachPoints(this.corePoints);
+        detachPoints(this.glowPoints);
+        this.corePoints = null;
+        this.glowPoints = null;
+        this.points = null;
+
+        if (this.geometry) {
+            this.geometry.dispose();
+            this.geometry = null;
+        }
+        if (this.svgGeometry) {
+            this.svgGeometry.dispose();
+            this.svgGeometry = null;
+        }
+        if (this.simulation instanceof WorkerSimulation) {
+            this.simulation.dispose();
+        }
+        this.coreMaterial.dispose();
+        this.glowMaterial.dispose();
+        this.circleTexture.dispose();
+        this.glowTexture.dispose();
+        if (this.glowCompositeQuad) {
+            this.glowCompositeQuad.geometry.dispose();
+            this.glowCompositeMaterial.dispose();
+        }
+        if (this.glowRenderTarget) {
+            this.glowRenderTarget.dispose();
+        }
+
+        this.renderer.dispose();
+        this.removeAllListeners();
+        const canvas = this.renderer.domElement;
+        if (canvas.parentNode) {
+            canvas.parentNode.removeChild(canvas);
+        }
+    }
+}
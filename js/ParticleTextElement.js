@@ -0,0 +1,195 @@
+import { ParticleText, createDefaultConfig } from './ParticleText.js';
+import { RUNTIME_CONFIG_KEYS } from './config.js';
+import { validateParameterValue } from './parameterSchema.js';
+
+// ========== ВЕБ-КОМПОНЕНТ <particle-text> ==========
+// Обёртка для вставки визуализации чистым HTML (например, в CMS):
+//
+//   <particle-text src="logo.svg" particle-count="8000" preset="auto"></particle-text>
+//   <particle-text text="Привет" font-path="fonts/inter.ttf"></particle-text>
+//
+// Атрибуты:
+//   src    — путь к SVG (имеет приоритет над SVG пресета)
+//   preset — имя пресета или 'auto' (по умолчанию)
+//   touch-scroll — касания прокручивают страницу по вертикали (опция touchScroll, читается при создании)
+//   остальные — параметры CONFIG в kebab-case: particle-count, point-size, wave-enabled, ...
+//
+// События экземпляра пробрасываются как CustomEvent с тем же именем (данные в event.detail).
+
+// Поля CONFIG, которые не задаются атрибутами: состояние симуляции и кривая-объект
+const NON_ATTRIBUTE_CONFIG_KEYS = new Set([...RUNTIME_CONFIG_KEYS, 'loadAnimationEasingCurve']);
+
+const DEFAULT_CONFIG = createDefaultConfig();
+
+// Имя атрибута → ключ CONFIG (particle-count → particleCount)
+const ATTRIBUTE_TO_CONFIG_KEY = new Map(
+    Object.keys(DEFAULT_CONFIG)
+        .filter(key => !NON_ATTRIBUTE_CONFIG_KEYS.has(key))
+        .map(key => [key.replace(/[A-Z]/g, char => '-' + char.toLowerCase()), key])
+);
+
+const FORWARDED_EVENTS = [
+    'ready',
+    'presetChange',
+    'loadAnimationStart',
+    'loadAnimationEnd',
+    'explosion',
+    'waveSpawn',
+    'particlesRecreated',
+    'morphStart',
+    'morphEnd'
+];
+
+const TEMPLATE = `
+    <style>
+        :host {
+            display: block;
+            position: relative;
+            width: 100%;
+            height: 400px;
+            overflow: hidden;
+        }
+        .stage {
+            position: absolute;
+            inset: 0;
+        }
+    </style>
+    <div class="stage"></div>
+`;
+
+// Преобразует значение атрибута к типу значения по умолчанию.
+// Возвращает undefined, если значение некорректно
+function parseAttributeValue(configKey, rawValue) {
+    const defaultValue = DEFAULT_CONFIG[configKey];
+
+    if (rawValue === null) {
+        return defaultValue; // Атрибут удалён — возвращаем значение по умолчанию
+    }
+
+    if (defaultValue === null || typeof defaultValue === 'string') {
+        // Строковые параметры (text, font-path) и параметры без значения по умолчанию (seed)
+        // принимают строку как есть; списки (pointer-mode, sampling-mode) — только значения из схемы
+        const value = validateParameterValue(configKey, rawValue);
+        if (value === undefined) {
+            console.warn(`<particle-text>: некорректное значение "${rawValue}" для параметра ${configKey}`);
+        }
+        return value;
+    }
+
+    if (typeof defaultValue === 'boolean') {
+        // Булевы атрибуты: присутствие = true, явное "false" = false
+        return rawValue !== 'false';
+    }
+
+    // Числа ограничиваются диапазоном схемы, как при загрузке профиля или импорте настроек
+    const number = parseFloat(rawValue);
+    const value = validateParameterValue(configKey, number);
+    if (value === undefined) {
+        console.warn(`<particle-text>: некорректное значение "${rawValue}" для параметра ${configKey}`);
+        return undefined;
+    }
+    if (value !== number) {
+        console.warn(`<particle-text>: значение ${configKey}=${rawValue} вне допустимого диапазона, используется ${value}`);
+    }
+    return value;
+}
+
+export class ParticleTextElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'preset', ...ATTRIBUTE_TO_CONFIG_KEY.keys()];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = TEMPLATE;
+        this.stage = this.shadowRoot.querySelector('.stage');
+        this.instance = null;
+        this.unsubscribers = [];
+    }
+
+    // Доступ к экземпляру ParticleText для скриптов страницы (null, пока элемент не в документе)
+    get particleText() {
+        return this.instance;
+    }
+
+    connectedCallback() {
+        if (this.instance) {
+            return;
+        }
+
+        this.instance = new ParticleText(this.stage, {
+            config: this.readConfigAttributes(),
+            svgPath: this.getAttribute('src') || undefined,
+            preset: this.getAttribute('preset') || 'auto',
+            touchScroll: this.hasAttribute('touch-scroll')
+        });
+
+        this.unsubscribers = FORWARDED_EVENTS.map(eventName =>
+            this.instance.on(eventName, (detail) => {
+                this.dispatchEvent(new CustomEvent(eventName, { detail }));
+            })
+        );
+        this.unsubscribers.push(this.instance.on('error', error => this.reportError(error)));
+
+        this.instance.ready.catch(error => this.reportError(error, 'ошибка инициализации'));
+    }
+
+    // Ошибка экземпляра: в консоль и событием error элемента
+    reportError(error, message = 'ошибка') {
+        console.error(`<particle-text>: ${message}:`, error);
+        this.dispatchEvent(new CustomEvent('error', { detail: error }));
+    }
+
+    disconnectedCallback() {
+        if (!this.instance) {
+            return;
+        }
+        // dispose() останавливает цикл requestAnimationFrame и снимает слушатели resize/scroll/pointer
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.instance.dispose();
+        this.instance = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // До подключения атрибуты читаются целиком в connectedCallback
+        if (!this.instance || oldValue === newValue) {
+            return;
+        }
+
+        if (name === 'src') {
+            this.instance.setSVGPath(newValue).catch(error => this.reportError(error, `не удалось загрузить "${newValue}"`));
+            return;
+        }
+
+        if (name === 'preset') {
+            this.instance.setPreset(newValue || 'auto').catch(error => this.reportError(error, 'ошибка смены пресета'));
+            return;
+        }
+
+        const configKey = ATTRIBUTE_TO_CONFIG_KEY.get(name);
+        const value = parseAttributeValue(configKey, newValue);
+        if (value !== undefined) {
+            this.instance.setConfig({ [configKey]: value });
+        }
+    }
+
+    readConfigAttributes() {
+        const config = {};
+        for (const [attributeName, configKey] of ATTRIBUTE_TO_CONFIG_KEY) {
+            if (!this.hasAttribute(attributeName)) {
+                continue;
+            }
+            const value = parseAttributeValue(configKey, this.getAttribute(attributeName));
+            if (value !== undefined) {
+                config[configKey] = value;
+            }
+        }
+        return config;
+    }
+}
+
+if (!customElements.get('particle-text')) {
+    customElements.define('particle-text', ParticleTextElement);
+}
@@ -0,0 +1,124 @@
+// ========== ПАРАМЕТРЫ ==========
+// Шрифт по умолчанию для текстового режима (только латиница; для кириллицы укажите TTF/OTF)
+export const DEFAULT_FONT_PATH = 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/fonts/helvetiker_regular.typeface.json';
+
+// Параметры по умолчанию. Функция возвращает новый объект, чтобы каждый экземпляр
+// ParticleText имел собственные массивы waves/explosions и кривую анимации
+export function createDefaultConfig() {
+    return {
+        particleCount: 10000,
+        outsideParticleCount: 200, // Количество частиц вне SVG формы (независимо от particleCount)
+        outsideInvisiblePercentage: 0, // Процент невидимых точек вне формы (0-100)
+        sphereRadius: 3.0, // Увеличиваем размер текста
+        forceStrength: 100.0,
+        interactionRadius: 5.0,
+        returnSpeed: 0.030, // Оставляем для обратной совместимости, но используем springConstant
+        springConstant: 0.35, // Жёсткость пружины (сила возврата)
+        damping: 0.90, // Коэффициент демпфирования (затухание колебаний, чем ближе к 1, тем сильнее затухание)
+        // Текстовый режим: непустая строка заменяет SVG фигурами символов шрифта
+        text: '', // Текст (перенос строки — \n); '' — использовать SVG
+        fontPath: DEFAULT_FONT_PATH, // Шрифт: typeface JSON (Three.js) или TTF/OTF
+        // Режим изображения: точки распределяются по пикселям PNG/JPG (если текст не задан)
+        imagePath: '', // Путь к изображению; '' — использовать SVG
+        imageSampling: 'alpha', // Вес пикселя: 'alpha' (непрозрачность) или 'luminance' (яркость)
+        imageColors: false, // Окрашивать точки в цвет пикселя
+        samplingMode: 'fill', // Распределение точек SVG/текста: 'fill' (заливка), 'outline' (контуры), 'mixed'
+        outlineRatio: 0.3, // Доля точек на контурах в режиме 'mixed'
+        fillSampling: 'random', // Точки по заливке: 'random' (случайно) или 'blueNoise' (равномерно разнесённые)
+        svgColors: true, // Окрашивать точки в цвет заливки path (для многоцветных SVG); false — монохромно
+        // Выдавливание: точки заполняют объём формы глубиной extrudeDepth (как THREE.ExtrudeGeometry)
+        extrudeDepth: 0, // Глубина формы по Z (0 — плоская форма)
+        bevelThickness: 0.2, // Глубина фаски у передней и задней крышки
+        bevelSize: 0.1, // Насколько фаска расширяет контур
+        seed: null, // Зерно генератора случайных чисел (null — новая раскладка при каждой загрузке)
+        timeScale: 0.90, // Глобальный множитель скорости анимации (0.5 = в 2 раза медленнее)
+        pointSize: 4, // Размер точек
+        sizeVariation: 0.5, // Максимальная разница размера точек (50% по умолчанию)
+        autonomousMotionStrength: 0.04, // Сила автономного движения точек
+        chaosAngle: 45, // Максимальный угол отклонения направления (градусы)
+        chaosStrength: 0.8, // Сила хаотичности (0-1)
+        tangentialForceRatio: 0.4, // Соотношение тангенциальной силы
+        zAxisStrength: 0.6, // Сила Z-компоненты (глубина)
+        // Воздействие указателя: 'repel' (хаотичное отталкивание), 'attract' (притяжение к курсору),
+        // 'vortex' (вихрь вокруг курсора), 'magnet' (кольцо вокруг курсора), 'drag' (толкание по ходу движения)
+        pointerMode: 'repel',
+        attractStrength: 0.05, // Притяжение: ускорение к курсору за шаг
+        vortexStrength: 0.03, // Вихрь: ускорение по кругу за шаг
+        vortexInward: 0.5, // Вихрь: доля затягивания к центру (0 — частицы разлетаются по спирали)
+        magnetRingRadius: 0.6, // Магнит: радиус кольца в долях радиуса воздействия
+        magnetStrength: 0.1, // Магнит: сила притяжения к кольцу
+        dragStrength: 10, // Толкание: множитель скорости указателя
+        scrollSpreadForce: 75, // Сила разлёта при скролле
+        scrollDepth: 300, // Глубина скролла (vh) - скрыт в UI
+        isLoadingAnimation: true, // Флаг активной анимации загрузки
+        loadAnimationStartTime: null, // Время начала анимации
+        loadAnimationDuration: 4000, // Длительность анимации (4 секунды)
+        loadAnimationEasingCurve: { p1x: 0.42, p1y: 0, p2x: 0.58, p2y: 1 }, // Кривая Безье для управления скоростью (по умолчанию ease-in-out)
+        // Параметры волны
+        waveEnabled: false, // Флаг включения/выключения волны
+        waveInterval: 8000, // Интервал между волнами (мс)
+        waveSpeed: 6.0, // Скорость распространения волны (единиц в секунду) - быстрое прохождение
+        waveWidth: 1.6, // Ширина волны (расстояние от переднего края до заднего) - толще волна
+        waveForce: 0.001, // Сила воздействия на точки (очень subtle - едва заметное движение)
+        waveGlowIntensity: 0.75, // Интенсивность свечения точек в волне (0-1)
+        waveForceFalloff: 0.5, // Крутизна затухания силы волны от центра к краям (0.1-2.0)
+        lastWaveTime: null, // Время последней волны
+        waves: [], // Массив активных волн: { radius: number, startTime: number, id: number }
+        maxBrightness: 1.0, // Максимальная яркость точек (0-1, где 1.0 = 100% белый цвет)
+        depthDarkeningStrength: 1.85, // Сила затемнения по глубине (0 = нет эффекта, 1 = максимум)
+        // Параметры свечения точек
+        glowBrightness: 0.08, // Яркость свечения (0 = нет свечения, 1 = максимум)
+        glowRadius: 15.0, // Радиус свечения (прямой множитель размера, 1-50)
+        velocityGlowMultiplier: 0.20, // Множитель свечения от скорости движения точки (0 = нет эффекта, 2 = сильный эффект)
+        // Эффекты по расстоянию до края формы (поле расстояний строится при выборке точек)
+        edgeWidth: 0.3, // Ширина полосы у края, на которую действуют эффекты края
+        edgeGlow: 0, // Дополнительное свечение точек у края (0-1)
+        edgeHighlight: 0, // Затемнение точек вдали от края: 0 — нет, 1 — светится только край
+        outsideHalo: 0, // Ореол: масштаб спада плотности точек вокруг формы с расстоянием (0 — равномерно)
+        // Параметры взрыва по клику
+        explosionEnabled: true, // Флаг включения/выключения взрыва
+        explosionForce: 10.0, // Сила разлёта (дальность)
+        explosionSpeed: 0.20, // Скорость разлёта (множитель, 0.1-2.0)
+        explosionReturnDelay: 1200, // Задержка перед возвратом точек (мс) - чем больше, тем дольше точки остаются разлетевшимися
+        explosionRadius: 0, // Радиус взрыва вокруг точки клика (0 = разлетается вся форма)
+        explosionGlowIntensity: 0.8, // Интенсивность подсветки (0-1)
+        explosionGlowDuration: 500, // Длительность подсветки (мс)
+        explosions: [], // Массив активных взрывов: { position: Vector3, startTime: number, id: number }
+        // Параметры отступов формы от краёв viewport (в долях, 0.15 = 15%)
+        paddingX: 0.15, // Отступ слева и справа (15%)
+        paddingY: 0.30  // Отступ сверху и снизу (30%)
+    };
+}
+
+// Служебные поля состояния симуляции: не являются настройками, не сохраняются и не задаются извне
+export const RUNTIME_CONFIG_KEYS = new Set([
+    'isLoadingAnimation',
+    'loadAnimationStartTime',
+    'lastWaveTime',
+    'waves',
+    'explosions'
+]);
+
+// ========== НАСТРОЙКА SVG ==========
+// Пресеты по умолчанию (формат описан в js/presets.js)
+export const DEFAULT_PRESETS = {
+    desktop: {
+        name: 'Desktop',
+        svgPath: 'Starting Point.svg',
+        breakpoint: { minWidth: 960 },
+        config: {
+            pointSize: 4,
+            particleCount: 10000
+        }
+    },
+    mobile: {
+        name: 'Mobile',
+        svgPath: 'Starting Point Mobile.svg',
+        breakpoint: { maxWidth: 960 },
+        config: {
+            pointSize: 2,
+            particleCount: 7500,
+            autonomousMotionStrength: 0.02
+        }
+    }
+};
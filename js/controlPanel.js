@@ -0,0 +1,122 @@
+import { PARAMETER_SCHEMA, toControlValue, fromControlValue, formatParameterValue } from './parameterSchema.js';
+
+// ========== ГЕНЕРАЦИЯ ПАНЕЛИ ==========
+// Создаёт контролы параметров схемы в контейнерах <div data-parameter-group="..."> внутри root.
+// Возвращает массив { param, input, refresh() }; refresh() перечитывает значение из config.
+// onInput(param, value) вызывается со значением в единицах CONFIG на каждом шаге слайдера,
+// onCommit(param) — по завершении правки (отпускание слайдера, переключение флажка или списка).
+
+function createRangeControl(param) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.append(param.label, ' ');
+    const valueDisplay = document.createElement('span');
+    valueDisplay.className = 'value';
+    valueDisplay.id = `${param.key}Value`;
+    label.appendChild(valueDisplay);
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = param.key;
+    input.min = toControlValue(param, param.min);
+    input.max = toControlValue(param, param.max);
+    input.step = toControlValue(param, param.step);
+
+    group.append(label, input);
+    return { group, input, valueDisplay };
+}
+
+function createBooleanControl(param) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; align-items: center; justify-content: space-between;';
+    const text = document.createElement('span');
+    text.textContent = param.label;
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = param.key;
+    input.style.cssText = 'width: auto; margin: 0;';
+    label.append(text, input);
+
+    group.appendChild(label);
+    return { group, input, valueDisplay: null };
+}
+
+function createSelectControl(param) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = param.key;
+    label.textContent = param.label;
+    const input = document.createElement('select');
+    input.id = param.key;
+    for (const { value, label: optionLabel } of param.options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = optionLabel;
+        input.appendChild(option);
+    }
+
+    group.append(label, input);
+    return { group, input, valueDisplay: null };
+}
+
+const CONTROL_FACTORIES = {
+    range: createRangeControl,
+    boolean: createBooleanControl,
+    select: createSelectControl
+};
+
+export function createParameterControls(root, config, onInput, onCommit = () => {}) {
+    const controls = [];
+
+    root.querySelectorAll('[data-parameter-group]').forEach(container => {
+        const params = PARAMETER_SCHEMA.filter(param => param.group === container.dataset.parameterGroup);
+
+        for (const param of params) {
+            const type = param.type ?? 'range';
+            const { group, input, valueDisplay } = CONTROL_FACTORIES[type](param);
+            if (param.hidden) {
+                group.style.display = 'none';
+            }
+            container.appendChild(group);
+
+            const refresh = () => {
+                if (type === 'boolean') {
+                    input.checked = config[param.key];
+                } else if (type === 'select') {
+                    input.value = config[param.key];
+                } else {
+                    input.value = toControlValue(param, config[param.key]);
+                    valueDisplay.textContent = formatParameterValue(param, config[param.key]);
+                }
+            };
+            refresh();
+
+            if (type === 'range') {
+                input.addEventListener('input', () => {
+                    const value = fromControlValue(param, parseFloat(input.value));
+                    valueDisplay.textContent = formatParameterValue(param, value);
+                    onInput(param, value);
+                });
+                // 'change' срабатывает один раз в конце перетаскивания
+                input.addEventListener('change', () => onCommit(param));
+            } else {
+                // Флажок и список меняются одним действием
+                input.addEventListener('change', () => {
+                    onInput(param, type === 'boolean' ? input.checked : input.value);
+                    onCommit(param);
+                });
+            }
+
+            controls.push({ param, input, refresh });
+        }
+    });
+
+    return controls;
+}
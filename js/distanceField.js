@@ -0,0 +1,118 @@
+// ========== ПОЛЕ РАССТОЯНИЙ ДО КРАЯ ФОРМЫ ==========
+// Знаковое поле расстояний (SDF) на сетке: для каждой ячейки — расстояние от её центра до края
+// формы, отрицательное внутри и положительное снаружи. Строится по маске isInside(x, y), поэтому
+// подходит для любого источника (shapes SVG и текста, пиксели изображения). Без Three.js и DOM.
+//
+// Расстояния считаются точным евклидовым преобразованием расстояний (Felzenszwalb, Huttenlocher)
+// за O(число ячеек): сначала по столбцам, затем по строкам.
+
+// Ячеек по большей стороне области
+export const DISTANCE_FIELD_RESOLUTION = 256;
+
+// «Бесконечность» для преобразования: Infinity дала бы NaN в разностях
+const FAR = 1e20;
+
+// Абсцисса пересечения парабол с вершинами в q и p
+function intersect(f, q, p) {
+    return ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+}
+
+// Квадраты расстояний до ближайшего ноля f (одномерный проход, результат в d).
+// v, z — рабочие массивы: вершины и границы нижней огибающей парабол
+function transformLine(f, n, d, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (let q = 1; q < n; q++) {
+        // Отбрасываем параболы, которые парабола q перекрывает целиком (z[0] = -∞ останавливает цикл)
+        let s = intersect(f, q, v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = intersect(f, q, v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        const p = v[k];
+        d[q] = (q - p) * (q - p) + f[p];
+    }
+}
+
+// Квадраты расстояний (в ячейках) от каждой ячейки до ближайшей ячейки маски со значением target
+function squaredDistances(mask, width, height, target) {
+    const grid = new Float64Array(width * height);
+    for (let i = 0; i < grid.length; i++) {
+        grid[i] = mask[i] === target ? 0 : FAR;
+    }
+
+    const size = Math.max(width, height);
+    const f = new Float64Array(size);
+    const d = new Float64Array(size);
+    const v = new Int32Array(size);
+    const z = new Float64Array(size + 1);
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+        transformLine(f, height, d, v, z);
+        for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) f[x] = grid[row + x];
+        transformLine(f, width, d, v, z);
+        for (let x = 0; x < width; x++) grid[row + x] = d[x];
+    }
+    return grid;
+}
+
+// Поле расстояний в прямоугольнике bounds ({ minX, maxX, minY, maxY }).
+// Возвращает { width, height, minX, minY, cellSize, data } — data[y * width + x] в единицах мира
+export function createDistanceField(isInside, bounds, resolution = DISTANCE_FIELD_RESOLUTION) {
+    const cellSize = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / resolution;
+    const width = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+    const height = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / cellSize));
+
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const pointY = bounds.minY + (y + 0.5) * cellSize;
+        for (let x = 0; x < width; x++) {
+            mask[y * width + x] = isInside(bounds.minX + (x + 0.5) * cellSize, pointY) ? 1 : 0;
+        }
+    }
+
+    const toInside = squaredDistances(mask, width, height, 1);
+    const toOutside = squaredDistances(mask, width, height, 0);
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        // Край проходит между центрами соседних ячеек — на пол-ячейки ближе их центров
+        data[i] = mask[i]
+            ? -(Math.sqrt(toOutside[i]) - 0.5) * cellSize
+            : (Math.sqrt(toInside[i]) - 0.5) * cellSize;
+    }
+
+    return { width, height, minX: bounds.minX, minY: bounds.minY, cellSize, data };
+}
+
+// Расстояние до края в точке (x, y) — билинейная интерполяция; за пределами сетки — значение на её краю
+export function sampleDistanceField(field, x, y) {
+    const { width, height, data } = field;
+    const gx = Math.min(width - 1, Math.max(0, (x - field.minX) / field.cellSize - 0.5));
+    const gy = Math.min(height - 1, Math.max(0, (y - field.minY) / field.cellSize - 0.5));
+    const x0 = Math.floor(gx);
+    const y0 = Math.floor(gy);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const tx = gx - x0;
+    const ty = gy - y0;
+
+    const top = data[y0 * width + x0] * (1 - tx) + data[y0 * width + x1] * tx;
+    const bottom = data[y1 * width + x0] * (1 - tx) + data[y1 * width + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
+}
@@ -0,0 +1,63 @@
+import { EventEmitter } from './EventEmitter.js';
+
+// ========== ИСТОРИЯ ИЗМЕНЕНИЙ ==========
+// Стек отмены/повтора для правок из панели. Запись — пара снимков состояния { before, after };
+// формат снимка определяет вызывающий код (панель хранит пресет и копию CONFIG).
+// Событие 'change' сообщает об изменении доступности undo/redo.
+export class ConfigHistory extends EventEmitter {
+    constructor(limit = 100) {
+        super();
+        this.limit = limit; // Максимальное число записей отмены
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Добавляет запись; правка без изменений не записывается. Новая правка очищает стек повтора
+    record(before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return false;
+        }
+        this.undoStack.push({ before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emit('change');
+        return true;
+    }
+
+    // Возвращает снимок, который нужно применить, или null
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        this.redoStack.push(entry);
+        this.emit('change');
+        return entry.before;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        this.undoStack.push(entry);
+        this.emit('change');
+        return entry.after;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('change');
+    }
+}
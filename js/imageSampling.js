@@ -0,0 +1,130 @@
+// ========== ИСТОЧНИК-ИЗОБРАЖЕНИЕ ==========
+// Выборка точек формы из растрового изображения (PNG, JPG, WebP). Плотность точек
+// пропорциональна весу пикселя:
+//   'alpha'     — непрозрачность (логотип на прозрачном фоне)
+//   'luminance' — яркость × непрозрачность (градиенты, светлое на тёмном)
+// Пиксели с весом ниже IMAGE_INSIDE_THRESHOLD считаются фоном — туда попадают точки вокруг формы.
+
+// Изображение уменьшается до этого размера по большей стороне: точек всё равно меньше,
+// чем пикселей, а внутри пикселя позиция точки случайная, поэтому сетка не видна
+export const IMAGE_SAMPLE_SIZE = 512;
+
+export const IMAGE_INSIDE_THRESHOLD = 0.1;
+
+async function fetchImage(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Не удалось загрузить изображение "${path}": ${response.status}`);
+    }
+    return response.blob();
+}
+
+// Загружает изображение (File/Blob или URL) и возвращает пиксели { width, height, data } (RGBA)
+export async function loadImagePixels(source, maxSize = IMAGE_SAMPLE_SIZE) {
+    const blob = typeof source === 'string' ? await fetchImage(source) : source;
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob);
+    } catch (error) {
+        throw new Error('Файл не удалось прочитать как изображение');
+    }
+
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    return { width, height, data };
+}
+
+// Веса пикселей и их накопленные суммы для выборки пропорционально весу
+export function createImageSampler(pixels, mode = 'alpha') {
+    const { width, height, data } = pixels;
+    const pixelCount = width * height;
+    const weights = new Float32Array(pixelCount);
+    const cumulative = new Float64Array(pixelCount);
+    let total = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const i4 = i * 4;
+        let weight = data[i4 + 3] / 255;
+        if (mode === 'luminance') {
+            // Относительная яркость (Rec. 709)
+            weight *= (0.2126 * data[i4] + 0.7152 * data[i4 + 1] + 0.0722 * data[i4 + 2]) / 255;
+        }
+        weights[i] = weight;
+        total += weight;
+        cumulative[i] = total;
+    }
+
+    return { width, height, data, weights, cumulative, total };
+}
+
+// Индекс первого пикселя, накопленный вес которого больше target (пиксели с нулевым весом пропускаются)
+function findPixel(cumulative, target) {
+    let low = 0;
+    let high = cumulative.length - 1;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (cumulative[middle] > target) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+// count точек в прямоугольнике bounds ({ minX, maxX, minY, maxY }; ось Y вверх, первая строка
+// изображения — сверху). withColors — вернуть также цвета пикселей (RGB 0..1 подряд)
+export function sampleImagePoints(sampler, count, bounds, random = Math.random, withColors = false) {
+    const { width, height, data, cumulative, total } = sampler;
+    if (total <= 0) {
+        throw new Error('В изображении нет непрозрачных (или светлых) пикселей, из которых можно построить форму');
+    }
+
+    const cellWidth = (bounds.maxX - bounds.minX) / width;
+    const cellHeight = (bounds.maxY - bounds.minY) / height;
+    const points = [];
+    const colors = withColors ? new Float32Array(count * 3) : null;
+
+    for (let i = 0; i < count; i++) {
+        const pixel = findPixel(cumulative, random() * total);
+        const px = pixel % width;
+        const py = Math.floor(pixel / width);
+
+        points.push({
+            x: bounds.minX + (px + random()) * cellWidth,
+            y: bounds.maxY - (py + random()) * cellHeight,
+            z: 0
+        });
+
+        if (colors) {
+            const i3 = i * 3;
+            const i4 = pixel * 4;
+            colors[i3] = data[i4] / 255;
+            colors[i3 + 1] = data[i4 + 1] / 255;
+            colors[i3 + 2] = data[i4 + 2] / 255;
+        }
+    }
+
+    return { points, colors };
+}
+
+// Попадает ли точка (x, y) на пиксель формы
+export function isInsideImage(sampler, bounds, x, y) {
+    const px = Math.floor((x - bounds.minX) / (bounds.maxX - bounds.minX) * sampler.width);
+    const py = Math.floor((bounds.maxY - y) / (bounds.maxY - bounds.minY) * sampler.height);
+    if (px < 0 || py < 0 || px >= sampler.width || py >= sampler.height) {
+        return false;
+    }
+    return sampler.weights[py * sampler.width + px] >= IMAGE_INSIDE_THRESHOLD;
+}
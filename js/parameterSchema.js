@@ -0,0 +1,151 @@
+// ========== СХЕМА ПАРАМЕТРОВ ==========
+// Описание настраиваемых параметров CONFIG. Из схемы строится панель #controls
+// (js/controlPanel.js) и проверяются значения при загрузке профилей и импорте.
+//
+// Поля:
+//   key              — ключ CONFIG (он же id элемента в панели)
+//   label            — подпись в панели
+//   group            — контейнер панели: <div data-parameter-group="...">
+//   type             — 'range' (по умолчанию), 'boolean' или 'select'
+//   options          — для 'select': допустимые значения [{ value, label }]; другие значения отклоняются
+//   min, max, step   — диапазон и шаг в единицах CONFIG
+//   scale            — преобразование для отображения: значение слайдера = значение CONFIG × scale
+//   decimals, unit   — форматирование отображаемого значения
+//   requiresRecreate — изменение требует пересоздания частиц (панель применяет его с задержкой)
+//   hidden           — параметр есть в панели, но скрыт
+
+export const PARAMETER_SCHEMA = [
+    // ===== Объект =====
+    { key: 'pointSize', label: 'Размер точек', group: 'object', min: 1, max: 10, step: 0.1, decimals: 1 },
+    { key: 'maxBrightness', label: 'Максимальная яркость', group: 'object', min: 0, max: 1, step: 0.01, scale: 100, unit: '%' },
+    { key: 'depthDarkeningStrength', label: 'Затемнение по глубине', group: 'object', min: 0, max: 3, step: 0.01, scale: 100, unit: '%' },
+    { key: 'glowBrightness', label: 'Яркость свечения', group: 'object', min: 0, max: 1, step: 0.01, scale: 100, unit: '%' },
+    { key: 'glowRadius', label: 'Радиус свечения', group: 'object', min: 1, max: 50, step: 1, unit: 'x' },
+    { key: 'velocityGlowMultiplier', label: 'Свечение от скорости', group: 'object', min: 0, max: 2, step: 0.05, scale: 100, unit: '%' },
+    { key: 'edgeWidth', label: 'Ширина края формы', group: 'object', min: 0.05, max: 2, step: 0.05, decimals: 2 },
+    { key: 'edgeGlow', label: 'Свечение края', group: 'object', min: 0, max: 1, step: 0.01, scale: 100, unit: '%' },
+    { key: 'edgeHighlight', label: 'Подсветка края', group: 'object', min: 0, max: 1, step: 0.01, scale: 100, unit: '%' },
+    { key: 'sizeVariation', label: 'Максимальная разница размера', group: 'object', min: 0, max: 0.5, step: 0.01, scale: 100, unit: '%' },
+    { key: 'particleCount', label: 'Количество точек', group: 'object', min: 3000, max: 10000, step: 500, requiresRecreate: true },
+    { key: 'outsideParticleCount', label: 'Количество точек (вне формы)', group: 'object', min: 0, max: 8000, step: 50, requiresRecreate: true },
+    { key: 'outsideInvisiblePercentage', label: 'Процент невидимых точек (вне формы)', group: 'object', min: 0, max: 100, step: 1, unit: '%', requiresRecreate: true },
+    { key: 'outsideHalo', label: 'Ореол вокруг формы', group: 'object', min: 0, max: 5, step: 0.1, decimals: 1, requiresRecreate: true },
+    { key: 'forceStrength', label: 'Сила воздействия', group: 'object', min: 5, max: 100, step: 5 },
+    { key: 'interactionRadius', label: 'Радиус воздействия', group: 'object', min: 0.5, max: 5, step: 0.1, decimals: 1 },
+    { key: 'springConstant', label: 'Жёсткость пружины', group: 'object', min: 0.1, max: 1, step: 0.05, decimals: 2 },
+    { key: 'damping', label: 'Демпфирование', group: 'object', min: 0.85, max: 0.99, step: 0.01, decimals: 2 },
+    { key: 'timeScale', label: 'Скорость анимации', group: 'object', min: 0.1, max: 1, step: 0.05, decimals: 2 },
+    { key: 'autonomousMotionStrength', label: 'Скорость пассивного движения', group: 'object', min: 0, max: 0.05, step: 0.002, decimals: 2 },
+    { key: 'scrollSpreadForce', label: 'Сила разлёта при скролле', group: 'object', min: 0, max: 100, step: 5 },
+    { key: 'scrollDepth', label: 'Глубина скролла (vh)', group: 'object', min: 0, max: 500, step: 10, hidden: true },
+
+    // ===== Режимы воздействия указателя =====
+    {
+        key: 'pointerMode', label: 'Режим', group: 'pointer', type: 'select',
+        options: [
+            { value: 'repel', label: 'Отталкивание' },
+            { value: 'attract', label: 'Притяжение' },
+            { value: 'vortex', label: 'Вихрь' },
+            { value: 'magnet', label: 'Магнит (кольцо)' },
+            { value: 'drag', label: 'Толкание по ходу движения' }
+        ]
+    },
+    { key: 'attractStrength', label: 'Притяжение: сила', group: 'pointer', min: 0, max: 0.2, step: 0.005, decimals: 3 },
+    { key: 'vortexStrength', label: 'Вихрь: сила', group: 'pointer', min: 0, max: 0.1, step: 0.002, decimals: 3 },
+    { key: 'vortexInward', label: 'Вихрь: затягивание к центру', group: 'pointer', min: 0, max: 1, step: 0.05, scale: 100, unit: '%' },
+    { key: 'magnetRingRadius', label: 'Магнит: радиус кольца', group: 'pointer', min: 0.1, max: 1, step: 0.05, scale: 100, unit: '%' },
+    { key: 'magnetStrength', label: 'Магнит: сила', group: 'pointer', min: 0, max: 0.3, step: 0.01, decimals: 2 },
+    { key: 'dragStrength', label: 'Толкание: сила', group: 'pointer', min: 0, max: 30, step: 1 },
+
+    // ===== Источник формы =====
+    {
+        key: 'imageSampling', label: 'Плотность точек по изображению', group: 'source', type: 'select',
+        options: [
+            { value: 'alpha', label: 'Непрозрачность' },
+            { value: 'luminance', label: 'Яркость' }
+        ]
+    },
+    {
+        key: 'samplingMode', label: 'Распределение точек (SVG, текст)', group: 'source', type: 'select',
+        options: [
+            { value: 'fill', label: 'Заливка' },
+            { value: 'outline', label: 'Контур' },
+            { value: 'mixed', label: 'Заливка + контур' }
+        ]
+    },
+    {
+        key: 'fillSampling', label: 'Точки по заливке', group: 'source', type: 'select',
+        options: [
+            { value: 'random', label: 'Случайно' },
+            { value: 'blueNoise', label: 'Равномерно (blue noise)' }
+        ]
+    },
+    { key: 'outlineRatio', label: 'Доля точек на контуре (режим «заливка + контур»)', group: 'source', min: 0, max: 1, step: 0.05, scale: 100, unit: '%', requiresRecreate: true },
+    { key: 'extrudeDepth', label: 'Глубина формы (выдавливание)', group: 'source', min: 0, max: 5, step: 0.1, decimals: 1, requiresRecreate: true },
+    { key: 'bevelThickness', label: 'Глубина фаски', group: 'source', min: 0, max: 1, step: 0.05, decimals: 2, requiresRecreate: true },
+    { key: 'bevelSize', label: 'Ширина фаски', group: 'source', min: 0, max: 0.5, step: 0.01, decimals: 2, requiresRecreate: true },
+    { key: 'svgColors', label: 'Цвета заливки SVG', group: 'source', type: 'boolean' },
+    { key: 'imageColors', label: 'Цвета пикселей (изображение)', group: 'source', type: 'boolean' },
+
+    // ===== Анимация загрузки =====
+    { key: 'loadAnimationDuration', label: 'Длительность анимации (мс)', group: 'loadAnimation', min: 2000, max: 8000, step: 100 },
+
+    // ===== Волны =====
+    { key: 'waveEnabled', label: 'Включить волны', group: 'wave', type: 'boolean' },
+    { key: 'waveInterval', label: 'Частота волн (мс)', group: 'wave', min: 200, max: 10000, step: 100, unit: ' мс' },
+    { key: 'waveWidth', label: 'Ширина волны', group: 'wave', min: 1, max: 10, step: 0.1, decimals: 1 },
+    { key: 'waveSpeed', label: 'Скорость волны', group: 'wave', min: 1, max: 20, step: 0.5, decimals: 1 },
+    // Слайдер 0-2 соответствует CONFIG 0-0.002
+    { key: 'waveForce', label: 'Сила волны', group: 'wave', min: 0, max: 0.002, step: 0.000001, scale: 1000 },
+    { key: 'waveGlowIntensity', label: 'Сила подсвечивания', group: 'wave', min: 0, max: 1, step: 0.05, decimals: 2 },
+    { key: 'waveForceFalloff', label: 'Крутизна затухания', group: 'wave', min: 0.1, max: 2, step: 0.1, decimals: 1 },
+
+    // ===== Взрыв по клику =====
+    { key: 'explosionEnabled', label: 'Включить взрыв', group: 'explosion', type: 'boolean' },
+    { key: 'explosionForce', label: 'Сила взрыва', group: 'explosion', min: 10, max: 300, step: 10 },
+    { key: 'explosionSpeed', label: 'Скорость разлёта', group: 'explosion', min: 0.1, max: 2, step: 0.1, decimals: 2 },
+    { key: 'explosionReturnDelay', label: 'Длительность разлёта (мс)', group: 'explosion', min: 0, max: 3000, step: 100 },
+    { key: 'explosionRadius', label: 'Радиус взрыва (0 = вся форма)', group: 'explosion', min: 0, max: 10, step: 0.5, decimals: 1 }
+];
+
+export const PARAMETERS_BY_KEY = new Map(PARAMETER_SCHEMA.map(param => [param.key, param]));
+
+// Убирает ошибки округления вида 0.07 × 100 = 7.000000000000001
+function roundForDisplay(value) {
+    return Number(value.toPrecision(12));
+}
+
+// Значение CONFIG → значение слайдера
+export function toControlValue(param, value) {
+    return roundForDisplay(value * (param.scale ?? 1));
+}
+
+// Значение слайдера → значение CONFIG
+export function fromControlValue(param, controlValue) {
+    return roundForDisplay(controlValue / (param.scale ?? 1));
+}
+
+// Текст для отображения рядом со слайдером
+export function formatParameterValue(param, value) {
+    return toControlValue(param, value).toFixed(param.decimals ?? 0) + (param.unit ?? '');
+}
+
+// Проверка значения по схеме. Возвращает значение, ограниченное диапазоном,
+// или undefined, если тип не подходит или значения нет в списке options.
+// Параметры вне схемы возвращаются как есть
+export function validateParameterValue(key, value) {
+    const param = PARAMETERS_BY_KEY.get(key);
+    if (!param) {
+        return value;
+    }
+    if (param.type === 'boolean') {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+    if (param.type === 'select') {
+        return param.options.some(option => option.value === value) ? value : undefined;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return undefined;
+    }
+    return Math.min(param.max, Math.max(param.min, value));
+}
@@ -0,0 +1,59 @@
+import { createDefaultConfig, RUNTIME_CONFIG_KEYS } from './config.js';
+
+// ========== ПРЕСЕТЫ ==========
+// Пресет — именованный набор: SVG, правило выбора по ширине контейнера и любые параметры CONFIG.
+//
+//   tablet: {
+//       name: 'Tablet',
+//       svgPath: 'logo-tablet.svg',
+//       breakpoint: { minWidth: 600, maxWidth: 1024 },   // minWidth <= ширина < maxWidth
+//       config: { pointSize: 3, particleCount: 8000 }
+//   }
+//
+// В режиме 'auto' выбирается первый (в порядке объявления) пресет, под правило которого
+// попадает ширина контейнера. Пресеты без breakpoint выбираются только вручную.
+// Плоский формат (pointSize, particleCount, ... на верхнем уровне пресета) поддерживается
+// для совместимости и объединяется с config.
+
+const DEFAULT_CONFIG = createDefaultConfig();
+
+// Поля пресета, которые не являются параметрами CONFIG
+const PRESET_META_KEYS = new Set(['name', 'svgPath', 'breakpoint', 'config']);
+
+// Параметры CONFIG, задаваемые пресетом (копия, чтобы объекты не делились между экземплярами)
+export function getPresetOverrides(preset) {
+    const overrides = {};
+    const entries = [
+        ...Object.entries(preset).filter(([key]) => !PRESET_META_KEYS.has(key)),
+        ...Object.entries(preset.config || {})
+    ];
+    for (const [key, value] of entries) {
+        if (!(key in DEFAULT_CONFIG) || RUNTIME_CONFIG_KEYS.has(key)) {
+            console.warn(`Пресет "${preset.name}": неизвестный параметр ${key}`);
+            continue;
+        }
+        overrides[key] = value !== null && typeof value === 'object' ? { ...value } : value;
+    }
+    return overrides;
+}
+
+// Попадает ли ширина под правило пресета
+export function matchesBreakpoint(preset, width) {
+    const breakpoint = preset.breakpoint;
+    if (!breakpoint) {
+        return false;
+    }
+    const minWidth = breakpoint.minWidth ?? 0;
+    const maxWidth = breakpoint.maxWidth ?? Infinity;
+    return width >= minWidth && width < maxWidth;
+}
+
+// Имя первого пресета, подходящего под ширину, или null
+export function findPresetForWidth(presets, width) {
+    for (const [name, preset] of Object.entries(presets)) {
+        if (matchesBreakpoint(preset, width)) {
+            return name;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,235 @@
+import { createDefaultConfig, RUNTIME_CONFIG_KEYS } from './config.js';
+import { validateParameterValue } from './parameterSchema.js';
+
+// ========== ПРОФИЛИ НАСТРОЕК ==========
+// Хранение CONFIG в localStorage: рабочая копия (последнее состояние панели, восстанавливается
+// при перезагрузке) и именованные профили. Каждая запись хранит версию схемы, поэтому
+// профили, сохранённые старой версией страницы, проходят через миграции при загрузке.
+//
+// Формат хранилища:
+//   { version, activeProfile, current: { version, config }, profiles: { [name]: { version, savedAt, config } } }
+
+// Версия схемы сохранённого CONFIG. Увеличивается при переименовании или изменении шкалы
+// параметров; для каждого повышения добавляется шаг в CONFIG_MIGRATIONS
+export const CONFIG_SCHEMA_VERSION = 2;
+
+const STORAGE_KEY = 'particleProfiles';
+const LEGACY_STORAGE_KEY = 'particleConfig'; // Версия 1: только параметры анимации загрузки
+
+// Шаги миграции: CONFIG_MIGRATIONS[n] переводит config версии n в версию n + 1.
+// Значения хранятся в единицах CONFIG, а не слайдеров (waveForce — 0.001, а не 1),
+// поэтому смена шкалы слайдера миграции не требует; она нужна, если меняется сам CONFIG,
+// например: 3: (config) => ({ ...config, waveForce: config.waveForce * 1000 })
+const CONFIG_MIGRATIONS = {
+    // Версия 1 (ключ particleConfig) хранила только loadAnimationDuration и loadAnimationEasingCurve
+    // в тех же единицах — остальные параметры берутся из значений по умолчанию
+    1: (config) => ({ ...config })
+};
+
+const DEFAULT_CONFIG = createDefaultConfig();
+
+// Тип значения совпадает с типом значения по умолчанию (seed: null допускает число или строку)
+function isValidConfigValue(key, value) {
+    const defaultValue = DEFAULT_CONFIG[key];
+    if (defaultValue === null) {
+        return value === null || typeof value === 'number' || typeof value === 'string';
+    }
+    if (typeof defaultValue === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    if (typeof defaultValue === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === typeof defaultValue;
+}
+
+// Кривая Безье анимации загрузки: четыре конечных числа, x точек — в [0, 1].
+// Иначе кривая не задаёт функцию времени и позиции частиц становятся NaN.
+// Возвращает исправленную копию или undefined
+function validateEasingCurve(curve) {
+    const result = {};
+    for (const key of Object.keys(DEFAULT_CONFIG.loadAnimationEasingCurve)) {
+        const value = curve[key];
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return undefined;
+        }
+        result[key] = key.endsWith('x') ? Math.min(1, Math.max(0, value)) : value;
+    }
+    return result;
+}
+
+// Проверки параметров-объектов (после проверки типа)
+const OBJECT_VALUE_VALIDATORS = {
+    loadAnimationEasingCurve: validateEasingCurve
+};
+
+// Копия сохраняемых параметров CONFIG (без состояния симуляции)
+export function serializeConfig(config) {
+    const result = {};
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+        if (!RUNTIME_CONFIG_KEYS.has(key) && key in config) {
+            result[key] = config[key];
+        }
+    }
+    // JSON-копия отвязывает вложенные объекты (кривую анимации) от живого CONFIG
+    return JSON.parse(JSON.stringify(result));
+}
+
+// Приводит сохранённый config к текущей версии схемы.
+// Неизвестные ключи и значения неверного типа отбрасываются, значения вне диапазона
+// ограничиваются (с предупреждением); отсутствующие ключи (параметры, добавленные позже)
+// остаются значениями по умолчанию
+export function migrateConfig(config, version = 1) {
+    let migrated = { ...config };
+    if (version > CONFIG_SCHEMA_VERSION) {
+        console.warn(`Профиль сохранён более новой версией (${version}), загружаются только известные параметры`);
+    }
+    for (let v = version; v < CONFIG_SCHEMA_VERSION; v++) {
+        const migrate = CONFIG_MIGRATIONS[v];
+        if (migrate) {
+            migrated = migrate(migrated);
+        }
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(migrated)) {
+        if (!(key in DEFAULT_CONFIG) || RUNTIME_CONFIG_KEYS.has(key)) {
+            continue;
+        }
+        // Тип проверяется по значению по умолчанию, диапазон — по схеме параметров
+        const validValue = isValidConfigValue(key, value) ? validateParameterValue(key, value) : undefined;
+        const validateObject = OBJECT_VALUE_VALIDATORS[key];
+        if (validateObject) {
+            // Некорректная кривая заменяется кривой по умолчанию, а не остаётся прежней
+            const validObject = validValue === undefined ? undefined : validateObject(validValue);
+            if (validObject === undefined) {
+                console.warn(`Параметр ${key} некорректен, используется значение по умолчанию`, value);
+                result[key] = { ...DEFAULT_CONFIG[key] };
+            } else {
+                if (JSON.stringify(validObject) !== JSON.stringify(value)) {
+                    console.warn(`Параметр ${key} вне допустимого диапазона, используется`, validObject);
+                }
+                result[key] = validObject;
+            }
+            continue;
+        }
+        if (validValue === undefined) {
+            console.warn(`Параметр ${key} пропущен: некорректное значение`, value);
+            continue;
+        }
+        if (validValue !== value) {
+            console.warn(`Параметр ${key}=${value} вне допустимого диапазона, используется ${validValue}`);
+        }
+        result[key] = validValue;
+    }
+    return result;
+}
+
+export class ConfigProfileStore {
+    constructor(storage = window.localStorage, key = STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.data = this.read();
+    }
+
+    read() {
+        const empty = { version: CONFIG_SCHEMA_VERSION, activeProfile: null, current: null, profiles: {} };
+        try {
+            const saved = this.storage.getItem(this.key);
+            if (saved) {
+                return { ...empty, ...JSON.parse(saved) };
+            }
+
+            // Переносим настройки старого формата в рабочую копию
+            const legacy = this.storage.getItem(LEGACY_STORAGE_KEY);
+            if (legacy) {
+                empty.current = { version: 1, config: JSON.parse(legacy) };
+            }
+        } catch (e) {
+            console.warn('Ошибка загрузки настроек из localStorage:', e);
+        }
+        return empty;
+    }
+
+    write() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+            this.storage.removeItem(LEGACY_STORAGE_KEY);
+            return true;
+        } catch (e) {
+            console.warn('Ошибка сохранения настроек в localStorage:', e);
+            return false;
+        }
+    }
+
+    get activeProfile() {
+        return this.data.activeProfile;
+    }
+
+    // Имена профилей в алфавитном порядке
+    list() {
+        return Object.keys(this.data.profiles).sort((a, b) => a.localeCompare(b));
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.data.profiles, name);
+    }
+
+    // Config профиля, приведённый к текущей схеме, или null
+    get(name) {
+        if (!this.has(name)) {
+            return null;
+        }
+        const entry = this.data.profiles[name];
+        return migrateConfig(entry.config, entry.version);
+    }
+
+    save(name, config) {
+        this.data.profiles[name] = {
+            version: CONFIG_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            config: serializeConfig(config)
+        };
+        this.data.activeProfile = name;
+        return this.write();
+    }
+
+    rename(oldName, newName) {
+        if (!this.has(oldName) || this.has(newName)) {
+            return false;
+        }
+        this.data.profiles[newName] = this.data.profiles[oldName];
+        delete this.data.profiles[oldName];
+        if (this.data.activeProfile === oldName) {
+            this.data.activeProfile = newName;
+        }
+        return this.write();
+    }
+
+    remove(name) {
+        if (!this.has(name)) {
+            return false;
+        }
+        delete this.data.profiles[name];
+        if (this.data.activeProfile === name) {
+            this.data.activeProfile = null;
+        }
+        return this.write();
+    }
+
+    setActiveProfile(name) {
+        this.data.activeProfile = name;
+        this.write();
+    }
+
+    // Рабочая копия: последнее состояние панели
+    loadCurrent() {
+        const current = this.data.current;
+        return current ? migrateConfig(current.config, current.version) : null;
+    }
+
+    saveCurrent(config) {
+        this.data.current = { version: CONFIG_SCHEMA_VERSION, config: serializeConfig(config) };
+        return this.write();
+    }
+}
@@ -0,0 +1,33 @@
+// ========== ГЕНЕРАТОР СЛУЧАЙНЫХ ЧИСЕЛ ==========
+// Детерминированный PRNG (mulberry32) для воспроизводимых раскладок и движения.
+// Каждый потребитель получает собственный поток (stream), поэтому, например, число кадров
+// физики не влияет на раскладку частиц при том же зерне.
+
+// Хэш FNV-1a строки в 32-битное беззнаковое число
+function hashSeed(value) {
+    const str = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Возвращает функцию random() → [0, 1), совместимую с Math.random.
+// seed: число или строка; null/undefined/'' — недетерминированный Math.random
+// stream: имя независимого потока для одного и того же зерна
+export function createRandom(seed, stream = '') {
+    if (seed === null || seed === undefined || seed === '') {
+        return Math.random;
+    }
+
+    let state = hashSeed(`${seed}:${stream}`);
+    return function random() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
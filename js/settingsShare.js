@@ -0,0 +1,93 @@
+import { CONFIG_SCHEMA_VERSION, migrateConfig, serializeConfig } from './profiles.js';
+
+// ========== ОБМЕН НАСТРОЙКАМИ ==========
+// Настройки (CONFIG + пресет + SVG) в виде JSON-файла или ссылки:
+//   { format: 'particle-text-settings', version, preset, svgPath, config }
+// Ссылка содержит тот же JSON в base64url: ...#settings=eyJmb3JtYXQiOi...
+// (или ?settings=... — форма для сервисов, которые обрезают hash).
+
+const SETTINGS_FORMAT = 'particle-text-settings';
+const URL_PARAM = 'settings';
+
+export const SETTINGS_FILE_NAME = 'particle-text-settings.json';
+
+// Снимок настроек для экспорта
+export function createSettings({ config, preset = null, svgPath = null }) {
+    return {
+        format: SETTINGS_FORMAT,
+        version: CONFIG_SCHEMA_VERSION,
+        preset,
+        svgPath,
+        config: serializeConfig(config)
+    };
+}
+
+// Разбор и проверка импортированных настроек. Бросает Error с понятным сообщением
+export function parseSettings(data) {
+    const settings = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!settings || settings.format !== SETTINGS_FORMAT || typeof settings.config !== 'object') {
+        throw new Error('Файл не содержит настроек ParticleText');
+    }
+    return {
+        preset: typeof settings.preset === 'string' ? settings.preset : null,
+        svgPath: typeof settings.svgPath === 'string' ? settings.svgPath : null,
+        config: migrateConfig(settings.config, settings.version ?? 1)
+    };
+}
+
+// UTF-8 строка ↔ base64url (без +, / и =, чтобы ссылка не требовала экранирования)
+function encodeBase64Url(text) {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(text)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Ссылка на текущую страницу с настройками в hash
+export function createSettingsURL(settings, baseURL = window.location.href) {
+    const url = new URL(baseURL);
+    url.searchParams.delete(URL_PARAM);
+    url.hash = `${URL_PARAM}=${encodeBase64Url(JSON.stringify(settings))}`;
+    return url.toString();
+}
+
+// Настройки из hash или query-параметра ссылки; null, если их нет или они повреждены
+export function readSettingsFromURL(href = window.location.href) {
+    const url = new URL(href);
+    const hashParams = new URLSearchParams(url.hash.slice(1));
+    const encoded = hashParams.get(URL_PARAM) || url.searchParams.get(URL_PARAM);
+    if (!encoded) {
+        return null;
+    }
+    try {
+        return parseSettings(decodeBase64Url(encoded));
+    } catch (e) {
+        console.warn('Не удалось прочитать настройки из ссылки:', e);
+        return null;
+    }
+}
+
+// Скачивание настроек JSON-файлом
+export function downloadSettings(settings, fileName = SETTINGS_FILE_NAME) {
+    const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Чтение настроек из выбранного или перетащенного файла
+export async function readSettingsFile(file) {
+    return parseSettings(await file.text());
+}
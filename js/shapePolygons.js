@@ -0,0 +1,119 @@
+// ========== МНОГОУГОЛЬНИКИ ФОРМЫ ==========
+// Контуры shapes (внешний контур + отверстия), развёрнутые в ломаные в координатах геометрии.
+// Проверки по ним идут в 2D, без raycast по треугольникам mesh: попадание точки в форму
+// и расстояние до ближайшего края.
+
+// Число отрезков на кривую — как у ShapeGeometry по умолчанию, чтобы ломаные совпадали с заливкой
+export const SHAPE_CURVE_SEGMENTS = 12;
+
+function toRing(points, transform) {
+    const ring = new Float64Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+        ring[i * 2] = points[i].x * transform.scaleX + transform.offsetX;
+        ring[i * 2 + 1] = points[i].y * transform.scaleY + transform.offsetY;
+    }
+    return ring;
+}
+
+function getRingBounds(ring) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+    for (let i = 0; i < ring.length; i += 2) {
+        bounds.minX = Math.min(bounds.minX, ring[i]);
+        bounds.maxX = Math.max(bounds.maxX, ring[i]);
+        bounds.minY = Math.min(bounds.minY, ring[i + 1]);
+        bounds.maxY = Math.max(bounds.maxY, ring[i + 1]);
+    }
+    return bounds;
+}
+
+// THREE.Shape[] → [{ rings: [контур, ...отверстия], bounds }], кольцо — Float64Array [x0, y0, x1, y1, …].
+// transform — { scaleX, scaleY, offsetX, offsetY } из createSVGGeometry
+export function createShapePolygons(shapes, transform, curveSegments = SHAPE_CURVE_SEGMENTS) {
+    return shapes.map(shape => {
+        const { shape: contour, holes } = shape.extractPoints(curveSegments);
+        const rings = [contour, ...holes].map(points => toRing(points, transform));
+        return { rings, bounds: getRingBounds(rings[0]) };
+    });
+}
+
+// Габариты всех многоугольников
+export function getPolygonsBounds(polygons) {
+    const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+    for (const polygon of polygons) {
+        bounds.minX = Math.min(bounds.minX, polygon.bounds.minX);
+        bounds.maxX = Math.max(bounds.maxX, polygon.bounds.maxX);
+        bounds.minY = Math.min(bounds.minY, polygon.bounds.minY);
+        bounds.maxY = Math.max(bounds.maxY, polygon.bounds.maxY);
+    }
+    return bounds;
+}
+
+function isOutsideBounds(bounds, x, y, margin = 0) {
+    return x < bounds.minX - margin || x > bounds.maxX + margin ||
+        y < bounds.minY - margin || y > bounds.maxY + margin;
+}
+
+// Пересекает ли луч из (x, y) вправо кольцо нечётное число раз
+function isInsideRing(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+        const yi = ring[i + 1];
+        const yj = ring[j + 1];
+        if ((yi > y) !== (yj > y) &&
+            x < (ring[j] - ring[i]) * (y - yi) / (yj - yi) + ring[i]) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Индекс shape, внутри которого лежит точка, или -1.
+// Внутри shape — внутри контура и вне отверстий (правило чётности по всем кольцам shape)
+export function findPolygonAt(polygons, x, y) {
+    for (let k = 0; k < polygons.length; k++) {
+        const { rings, bounds } = polygons[k];
+        if (isOutsideBounds(bounds, x, y)) continue;
+
+        let inside = false;
+        for (const ring of rings) {
+            if (isInsideRing(ring, x, y)) inside = !inside;
+        }
+        if (inside) return k;
+    }
+    return -1;
+}
+
+// Ближайший к точке край: { distance, index } (index — shape края). Края дальше maxDistance
+// не рассматриваются; если таких нет — { distance: Infinity, index: -1 }
+export function findNearestEdge(polygons, x, y, maxDistance = Infinity) {
+    let bestSq = maxDistance * maxDistance;
+    let index = -1;
+
+    for (let k = 0; k < polygons.length; k++) {
+        const { rings, bounds } = polygons[k];
+        if (isOutsideBounds(bounds, x, y, maxDistance)) continue;
+
+        for (const ring of rings) {
+            for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                const ax = ring[j];
+                const ay = ring[j + 1];
+                const abx = ring[i] - ax;
+                const aby = ring[i + 1] - ay;
+                const lengthSq = abx * abx + aby * aby;
+                // Проекция точки на отрезок, ограниченная его концами
+                const t = lengthSq > 0
+                    ? Math.max(0, Math.min(1, ((x - ax) * abx + (y - ay) * aby) / lengthSq))
+                    : 0;
+                const dx = x - (ax + abx * t);
+                const dy = y - (ay + aby * t);
+                const distanceSq = dx * dx + dy * dy;
+                if (distanceSq <= bestSq) {
+                    bestSq = distanceSq;
+                    index = k;
+                }
+            }
+        }
+    }
+
+    return index >= 0 ? { distance: Math.sqrt(bestSq), index } : { distance: Infinity, index: -1 };
+}
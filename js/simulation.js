@@ -0,0 +1,1659 @@
+// ========== СИМУЛЯЦИЯ ЧАСТИЦ ==========
+// Ядро физики без зависимости от Three.js и DOM: работает только с типизированными массивами
+// и объектом config, поэтому запускается и в браузере, и в Node (тесты, бенчмарки, офлайн-рендер).
+//
+//   const simulation = new ParticleSimulation(createDefaultConfig());
+//   simulation.layoutParticles({ insidePoints, outsidePoints, shapeSize });
+//   simulation.startLoadAnimation(0);
+//   for (let t = 0; t < 5000; t += 16) simulation.step(SIMULATION_DT, { time: t });
+//
+// В реальном времени вместо step() вызывается advance(elapsed, inputs): шаги фиксированной длины
+// по накопленному времени и интерполированные renderPositions для отрисовки.
+// Слой Three.js только загружает буферы (renderPositions, colors, sizes, glows) в GPU
+// по флагам, которые возвращает step()/advance().
+
+import { createRandom } from './random.js';
+import { sampleDistanceField } from './distanceField.js';
+import { SpatialHashGrid } from './spatialGrid.js';
+
+// Шаг интегрирования, под который откалиброваны все силы (~1/60 секунды)
+export const SIMULATION_DT = 0.016;
+const SIMULATION_STEP_MS = SIMULATION_DT * 1000;
+
+// Предел шагов за один advance(): после долгой паузы (вкладка в фоне) время не догоняется
+const MAX_STEPS_PER_ADVANCE = 5;
+
+// Флаги результата шага, которые объединяются по всем шагам advance()
+const STEP_RESULT_FLAGS = ['colorsChanged', 'sizesChanged', 'glowsChanged', 'loadAnimationEnded', 'morphEnded', 'buffersReplaced'];
+
+// Фиксированный диапазон расстояний для расчёта яркости по глубине:
+// - Камера на Z=12, точки изначально около Z=0 (расстояние ~12)
+// - При движении точки могут уходить в Z от -50 до +50
+// - Расстояние от камеры: Z=0 → dist=12, Z=-50 → dist=62, Z=50 → dist=38
+const FIXED_MIN_DISTANCE = 0;   // Минимальное расстояние (точка прямо на камере - теоретический минимум)
+const FIXED_MAX_DISTANCE = 70;  // Максимальное расстояние (с запасом для скролла/взрывов)
+const FIXED_DISTANCE_RANGE = FIXED_MAX_DISTANCE - FIXED_MIN_DISTANCE; // = 70
+
+const DEFAULT_CAMERA_Z = 12;
+
+const NO_POINTERS = [];
+
+// Режимы указателя с полем сил (applyPointerFieldForce); 'repel' — хаотичное отталкивание
+const POINTER_FIELD_MODES = new Set(['attract', 'vortex', 'magnet', 'drag']);
+
+// Толкание: предел учитываемой скорости указателя (смещение в нормализованных координатах за SIMULATION_DT)
+const MAX_DRAG_POINTER_SPEED = 0.1;
+
+// Скорость указателя (смещение в нормализованных координатах экрана за SIMULATION_DT)
+function getPointerSpeed(pointer) {
+    return Math.sqrt(pointer.velocityX * pointer.velocityX + pointer.velocityY * pointer.velocityY);
+}
+
+// Указатель действует на частицы, пока он над канвасом и нажат или движется
+function isPointerActive(pointer) {
+    return Boolean(pointer.inside && (pointer.down || getPointerSpeed(pointer) > 0.001));
+}
+
+// ========== ВЕКТОРНАЯ МАТЕМАТИКА ==========
+// Переиспользуемые векторы {x, y, z} для минимизации аллокаций в горячем цикле
+function vec3() {
+    return { x: 0, y: 0, z: 0 };
+}
+
+function setVec(out, x, y, z) {
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    return out;
+}
+
+function crossVec(out, a, b) {
+    const x = a.y * b.z - a.z * b.y;
+    const y = a.z * b.x - a.x * b.z;
+    const z = a.x * b.y - a.y * b.x;
+    return setVec(out, x, y, z);
+}
+
+function lengthVec(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+// Нормализация; нулевой вектор остаётся нулевым
+function normalizeVec(v) {
+    const invLength = 1 / (lengthVec(v) || 1);
+    v.x *= invLength;
+    v.y *= invLength;
+    v.z *= invLength;
+    return v;
+}
+
+const AXIS_X = { x: 1, y: 0, z: 0 };
+const AXIS_Y = { x: 0, y: 1, z: 0 };
+const AXIS_Z = { x: 0, y: 0, z: 1 };
+
+const baseDirection = vec3();
+const chaoticDirection = vec3();
+const tangent = vec3();
+const tangent2 = vec3();
+const perpendicular = vec3();
+const perpendicular2 = vec3();
+
+// Функция для генерации случайного 3D направления с угловым отклонением
+function randomDirection3D(base, maxAngleDegrees, chaosStrength, out, random) {
+    // Преобразуем угол в радианы
+    const maxAngle = (maxAngleDegrees * Math.PI) / 180;
+
+    // Генерируем случайный угол отклонения (0 до maxAngle)
+    const angle = random() * maxAngle * chaosStrength;
+
+    // Генерируем случайный азимутальный угол (0 до 2π)
+    const azimuth = random() * Math.PI * 2;
+
+    // Генерируем случайный вектор перпендикулярный базовому направлению
+    normalizeVec(crossVec(perpendicular, base, Math.abs(base.x) < 0.9 ? AXIS_X : AXIS_Y));
+
+    // Создаём второй перпендикулярный вектор
+    normalizeVec(crossVec(perpendicular2, base, perpendicular));
+
+    // Генерируем случайное отклонение в плоскости, перпендикулярной базовому направлению
+    const cosAngle = Math.cos(angle);
+    const sinAngle = Math.sin(angle);
+    const cosAzimuth = Math.cos(azimuth);
+    const sinAzimuth = Math.sin(azimuth);
+
+    // Комбинируем базовое направление с перпендикулярными компонентами
+    const a = sinAngle * cosAzimuth;
+    const b = sinAngle * sinAzimuth;
+    setVec(
+        out,
+        base.x * cosAngle + perpendicular.x * a + perpendicular2.x * b,
+        base.y * cosAngle + perpendicular.y * a + perpendicular2.y * b,
+        base.z * cosAngle + perpendicular.z * a + perpendicular2.z * b
+    );
+    return normalizeVec(out);
+}
+
+// Случайное направление, равномерно распределённое на сфере
+function writeRandomSphereDirection(target, offset, random) {
+    const theta = random() * Math.PI * 2; // Азимутальный угол (0 до 2π)
+    const phi = Math.acos(2 * random() - 1); // Полярный угол (равномерное распределение на сфере)
+    target[offset] = Math.sin(phi) * Math.cos(theta);
+    target[offset + 1] = Math.sin(phi) * Math.sin(theta);
+    target[offset + 2] = Math.cos(phi);
+}
+
+// Функция вычисления значения кубической кривой Безье для easing
+// t: прогресс времени (0-1)
+// p1x, p1y, p2x, p2y: контрольные точки Безье (фиксированные точки: (0,0) и (1,1))
+// Возвращает значение кривой (0-1), которое используется как множитель скорости
+export function bezierEasing(t, p1x, p1y, p2x, p2y) {
+    // Ограничиваем t в диапазоне [0, 1]
+    t = Math.max(0, Math.min(1, t));
+
+    // Кубическая кривая Безье: B(t) = (1-t)³P₀ + 3(1-t)²tP₁ + 3(1-t)t²P₂ + t³P₃
+    // где P₀ = (0,0), P₁ = (p1x, p1y), P₂ = (p2x, p2y), P₃ = (1,1)
+    const oneMinusT = 1 - t;
+    const oneMinusT2 = oneMinusT * oneMinusT;
+    const oneMinusT3 = oneMinusT2 * oneMinusT;
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    // Вычисляем Y-координату кривой
+    const y = oneMinusT3 * 0 +
+              3 * oneMinusT2 * t * p1y +
+              3 * oneMinusT * t2 * p2y +
+              t3 * 1;
+
+    return y;
+}
+
+// Буферы состояния частиц и число компонент на частицу (перестановка и изменение размера)
+const PARTICLE_BUFFERS = [
+    ['positions', 3],
+    ['previousPositions', 3],
+    ['renderPositions', 3],
+    ['originalPositions', 3],
+    ['baseOriginalPositions', 3],
+    ['startPositions', 3],
+    ['scrollDirections', 3],
+    ['velocities', 3],
+    ['colors', 3],
+    ['tints', 3],
+    ['edgeDistances', 1],
+    ['sizes', 1],
+    ['baseSizes', 1],
+    ['glows', 1],
+    ['explosionGlowEndTimes', 1],
+    ['explosionReturnTimes', 1]
+];
+
+// Начальные значения массивов частиц, отличные от нуля (как в allocate())
+const PARTICLE_BUFFER_FILL = { tints: 1, edgeDistances: Infinity };
+
+// Близость к краю формы по расстоянию до него: 1 на краю, 0 дальше edgeWidth (и без поля расстояний)
+function getEdgeFactor(distance, edgeWidth) {
+    if (edgeWidth <= 0) return 0;
+    const t = 1 - Math.abs(distance) / edgeWidth;
+    return t > 0 ? t * t : 0;
+}
+
+// Множитель яркости от близости к краю (config.edgeHighlight): точки вдали от края темнее краевых
+function getEdgeBrightness(distance, config) {
+    if (config.edgeHighlight <= 0 || !Number.isFinite(distance)) return 1;
+    return 1 - config.edgeHighlight * (1 - getEdgeFactor(distance, config.edgeWidth));
+}
+
+// Индексы 0..count-1, упорядоченные по X (при равенстве — по Y)
+function sortByPosition(count, getX, getY) {
+    const order = Array.from({ length: count }, (_, k) => k);
+    return order.sort((a, b) => getX(a) - getX(b) || getY(a) - getY(b));
+}
+
+// ========== КЛАСС ParticleSimulation ==========
+// Состояние частиц: точки [0, insideCount) лежат внутри формы, остальные — вокруг неё
+// (после layoutParticles() insideCount = config.particleCount, морфинг может его изменить).
+// Все массивы заменяются целиком при layoutParticles(), поэтому потребители не должны
+// кэшировать ссылки между вызовами layoutParticles()/generateSizes().
+export class ParticleSimulation {
+    constructor(config) {
+        this.config = config;
+        // Поток случайных чисел физики; пересоздаётся при старте анимации загрузки,
+        // чтобы при заданном config.seed движение воспроизводилось с начала анимации
+        this.random = createRandom(config.seed, 'motion');
+        this.allocate(config.particleCount);
+        this.insideCount = config.particleCount; // Число частиц внутри формы (начало точек вокруг неё)
+        this.cloudCenter = vec3(); // Центр облака частиц
+        this.scrollProgress = 0; // Последний прогресс скролла (applyScrollSpread)
+        this.morph = null; // Активный переход к новой форме (morphTo)
+        this.accumulator = 0; // Время (мс), ещё не отработанное шагами advance()
+        this.pointerTracks = new Map(); // id указателя → экранная позиция, учтённая последним шагом
+        this.pointerElapsed = 0; // Время (мс) с последнего шага, учёвшего смещение указателей
+        this.distanceField = null; // Поле расстояний до края текущей формы (distanceField.js)
+        this.cachedGlowBrightness = config.glowBrightness;
+        this.cachedVelocityGlowMultiplier = config.velocityGlowMultiplier;
+        this.cachedEdgeGlow = config.edgeGlow;
+        this.cachedEdgeWidth = config.edgeWidth;
+        this.glowStaticNeedsUpdate = true;
+        this.wasWaveActive = false;
+        // Сетка по позициям частиц для запросов «рядом с точкой» (курсор, локальный взрыв)
+        this.grid = new SpatialHashGrid();
+    }
+
+    allocate(count) {
+        this.totalParticleCount = count; // Общее количество точек (внутри + снаружи формы)
+        this.positions = new Float32Array(count * 3);
+        this.previousPositions = new Float32Array(count * 3); // Позиции до последнего шага (интерполяция)
+        this.renderPositions = new Float32Array(count * 3); // Позиции для отрисовки между шагами (advance)
+        this.hasPreviousStep = false; // previousPositions заполнены шагом после замены позиций извне
+        this.originalPositions = new Float32Array(count * 3);
+        this.baseOriginalPositions = new Float32Array(count * 3); // Базовые исходные позиции без скролла
+        this.startPositions = new Float32Array(count * 3); // Начальные позиции для анимации загрузки
+        this.scrollDirections = new Float32Array(count * 3); // Случайные направления разлёта для каждой частицы
+        this.velocities = new Float32Array(count * 3);
+        this.colors = new Float32Array(count * 3); // Цвета для каждой точки (RGB)
+        this.tints = new Float32Array(count * 3).fill(1); // Собственный цвет точки (RGB), множитель яркости
+        this.edgeDistances = new Float32Array(count).fill(Infinity); // Расстояние цели точки до края формы (< 0 внутри)
+        this.sizes = new Float32Array(count); // Индивидуальные размеры каждой точки
+        this.baseSizes = new Float32Array(count); // Базовые размеры точек (без эффектов волны)
+        this.glows = new Float32Array(count); // Интенсивность glow эффекта для каждой точки (0-1)
+        this.explosionGlowEndTimes = new Float32Array(count); // Время окончания подсветки взрыва для каждой точки
+        this.explosionReturnTimes = new Float32Array(count); // Время начала возврата после взрыва для каждой точки
+        this.distanceBuffer = new Float32Array(count); // Буфер расстояний для расчёта яркости без аллокаций
+    }
+
+    // Меняет число частиц, сохраняя состояние первых min(старое, новое) частиц
+    resize(count) {
+        const previous = PARTICLE_BUFFERS.map(([name]) => this[name]);
+        this.allocate(count);
+        PARTICLE_BUFFERS.forEach(([name], k) => {
+            const target = this[name];
+            const source = previous[k];
+            target.set(source.length > target.length ? source.subarray(0, target.length) : source);
+        });
+        this.glowStaticNeedsUpdate = true;
+    }
+
+    // Вставляет count частиц с начальными значениями перед частицей start
+    insertParticles(start, count) {
+        const previousTotal = this.totalParticleCount;
+        this.resize(previousTotal + count);
+        for (const [name, stride] of PARTICLE_BUFFERS) {
+            const array = this[name];
+            array.copyWithin((start + count) * stride, start * stride, previousTotal * stride);
+            array.fill(PARTICLE_BUFFER_FILL[name] ?? 0, start * stride, (start + count) * stride);
+        }
+    }
+
+    // Удаляет частицы [start, start + count), сдвигая следующие на их место
+    removeParticles(start, count) {
+        const total = this.totalParticleCount;
+        for (const [name, stride] of PARTICLE_BUFFERS) {
+            this[name].copyWithin(start * stride, (start + count) * stride, total * stride);
+        }
+        this.resize(total - count);
+    }
+
+    // Переставляет частицы: на место start + k встаёт частица order[k] (order — индексы из того же диапазона)
+    reorderParticles(start, order) {
+        for (const [name, stride] of PARTICLE_BUFFERS) {
+            const array = this[name];
+            const copy = array.slice(start * stride, (start + order.length) * stride);
+            for (let k = 0; k < order.length; k++) {
+                const from = (order[k] - start) * stride;
+                const to = (start + k) * stride;
+                for (let c = 0; c < stride; c++) {
+                    array[to + c] = copy[from + c];
+                }
+            }
+        }
+    }
+
+    // ========== РАСКЛАДКА ЧАСТИЦ ==========
+    // Заполняет буферы по готовым точкам формы.
+    // insidePoints  — точки внутри формы ({x, y, z}), не больше config.particleCount
+    // outsidePoints — точки вокруг формы
+    // shapeSize     — максимальный размер формы, задаёт дальность разлёта в анимации загрузки
+    // insideColors  — собственные цвета точек внутри формы (RGB 0..1 подряд) или null — белые
+    // distanceField — поле расстояний до края формы (createDistanceField) или null — без эффектов края
+    layoutParticles({ insidePoints, outsidePoints = [], shapeSize, insideColors = null, distanceField = null }) {
+        const config = this.config;
+        const particleCount = config.particleCount;
+        const outsideCount = outsidePoints.length;
+        const totalParticleCount = particleCount + outsideCount;
+        const previousGlowCount = this.glows.length;
+
+        this.allocate(totalParticleCount);
+        this.insideCount = particleCount;
+        this.morph = null;
+        const {
+            positions,
+            originalPositions,
+            baseOriginalPositions,
+            startPositions,
+            scrollDirections,
+            colors,
+            tints,
+            sizes,
+            baseSizes,
+            cloudCenter
+        } = this;
+        if (previousGlowCount !== totalParticleCount) {
+            this.glowStaticNeedsUpdate = true;
+        }
+
+        // Отдельный поток для раскладки: при одном зерне раскладка не зависит от истории физики
+        const random = createRandom(config.seed, 'layout');
+
+        // Размеры частиц
+        const baseSize = config.pointSize;
+        const variation = config.sizeVariation;
+        const minSize = baseSize * (1 - variation);
+        const maxSize = baseSize * (1 + variation);
+        for (let i = 0; i < particleCount; i++) {
+            sizes[i] = minSize + random() * (maxSize - minSize);
+        }
+
+        let particlesCreated = 0;
+        for (let i = 0; i < particleCount && i < insidePoints.length; i++) {
+            const i3 = i * 3;
+            const point = insidePoints[i];
+
+            originalPositions[i3] = point.x;
+            originalPositions[i3 + 1] = point.y;
+            originalPositions[i3 + 2] = point.z;
+
+            // Сохраняем базовые исходные позиции
+            baseOriginalPositions[i3] = point.x;
+            baseOriginalPositions[i3 + 1] = point.y;
+            baseOriginalPositions[i3 + 2] = point.z;
+
+            // Генерируем случайное направление разлёта для каждой частицы (один раз при инициализации)
+            writeRandomSphereDirection(scrollDirections, i3, random);
+
+            // Инициализируем цвета как белые (1, 1, 1)
+            colors[i3] = 1.0;
+            colors[i3 + 1] = 1.0;
+            colors[i3 + 2] = 1.0;
+            if (insideColors) {
+                tints[i3] = insideColors[i3];
+                tints[i3 + 1] = insideColors[i3 + 1];
+                tints[i3 + 2] = insideColors[i3 + 2];
+            }
+            particlesCreated++;
+        }
+
+        // Вычисляем центр облака частиц
+        setVec(cloudCenter, 0, 0, 0);
+        for (let i = 0; i < particlesCreated; i++) {
+            const i3 = i * 3;
+            cloudCenter.x += baseOriginalPositions[i3];
+            cloudCenter.y += baseOriginalPositions[i3 + 1];
+            cloudCenter.z += baseOriginalPositions[i3 + 2];
+        }
+        if (particlesCreated > 0) {
+            cloudCenter.x /= particlesCreated;
+            cloudCenter.y /= particlesCreated;
+            cloudCenter.z /= particlesCreated;
+        }
+
+        // Генерируем случайные начальные позиции для анимации загрузки
+        for (let i = 0; i < particlesCreated; i++) {
+            const i3 = i * 3;
+
+            // Генерируем случайное направление (единичный вектор на сфере) и расстояние от 5x до 10x размера формы
+            writeRandomSphereDirection(startPositions, i3, random);
+            const distance = shapeSize * (5 + random() * 5);
+
+            // Начальная позиция: центр + направление * расстояние
+            startPositions[i3] = cloudCenter.x + startPositions[i3] * distance;
+            startPositions[i3 + 1] = cloudCenter.y + startPositions[i3 + 1] * distance;
+            startPositions[i3 + 2] = cloudCenter.z + startPositions[i3 + 2] * distance;
+        }
+
+        // ========== ТОЧКИ ВОКРУГ ФОРМЫ ==========
+        const invisibleChance = config.outsideInvisiblePercentage / 100;
+        for (let i = 0; i < outsideCount; i++) {
+            const index = particleCount + i;
+            const i3 = index * 3;
+            const point = outsidePoints[i];
+
+            originalPositions[i3] = point.x;
+            originalPositions[i3 + 1] = point.y;
+            originalPositions[i3 + 2] = point.z;
+
+            baseOriginalPositions[i3] = point.x;
+            baseOriginalPositions[i3 + 1] = point.y;
+            baseOriginalPositions[i3 + 2] = point.z;
+
+            // Генерируем случайное направление разлёта для скролла (как для точек внутри)
+            writeRandomSphereDirection(scrollDirections, i3, random);
+
+            // Начальная позиция для анимации загрузки: разлёт от текущей позиции
+            writeRandomSphereDirection(startPositions, i3, random);
+            const startDistance = shapeSize * (5 + random() * 5);
+            startPositions[i3] = point.x + startPositions[i3] * startDistance;
+            startPositions[i3 + 1] = point.y + startPositions[i3 + 1] * startDistance;
+            startPositions[i3 + 2] = point.z + startPositions[i3 + 2] * startDistance;
+
+            // Определенный процент точек делаем невидимыми (размер 0)
+            const shouldBeInvisible = random() < invisibleChance;
+            sizes[index] = shouldBeInvisible ? 0 : (minSize + random() * (maxSize - minSize));
+
+            // Инициализируем цвета как белые
+            colors[i3] = 1.0;
+            colors[i3 + 1] = 1.0;
+            colors[i3 + 2] = 1.0;
+        }
+
+        baseSizes.set(sizes);
+
+        // Частицы стартуют с начальных позиций анимации загрузки
+        positions.set(startPositions);
+        this.interpolatePositions(1);
+
+        this.distanceField = distanceField;
+        this.updateEdgeDistances();
+    }
+
+    // Пересчитывает расстояния до края для базовых позиций частиц (без поля — Infinity, эффекты края выключены)
+    updateEdgeDistances() {
+        const { distanceField, baseOriginalPositions, edgeDistances } = this;
+        if (!distanceField) {
+            edgeDistances.fill(Infinity);
+        } else {
+            for (let i = 0; i < edgeDistances.length; i++) {
+                edgeDistances[i] = sampleDistanceField(
+                    distanceField,
+                    baseOriginalPositions[i * 3],
+                    baseOriginalPositions[i * 3 + 1]
+                );
+            }
+        }
+        this.glowStaticNeedsUpdate = true;
+    }
+
+    // Сохраняет целевые позиции точек внутри формы (для пересоздания без смены формы)
+    snapshotInsideTargets() {
+        const insideCount = this.insideCount;
+        const count3 = Math.min(insideCount * 3, this.originalPositions.length);
+        const count = Math.min(insideCount, this.sizes.length);
+        return {
+            originalPositions: this.originalPositions.slice(0, count3),
+            baseOriginalPositions: this.baseOriginalPositions.slice(0, count3),
+            scrollDirections: this.scrollDirections.slice(0, count3),
+            velocities: this.velocities.slice(0, count3),
+            colors: this.colors.slice(0, count3),
+            tints: this.tints.slice(0, count3),
+            sizes: this.sizes.slice(0, count),
+            baseSizes: this.baseSizes.slice(0, count)
+        };
+    }
+
+    // Восстанавливает целевые позиции и свойства из snapshotInsideTargets().
+    // positions и startPositions НЕ восстанавливаются — они нужны для анимации появления
+    restoreInsideTargets(snapshot) {
+        const pointsToRestore = Math.min(
+            this.insideCount,
+            snapshot.originalPositions.length / 3,
+            this.originalPositions.length / 3
+        );
+        const bytesToRestore = pointsToRestore * 3;
+
+        this.originalPositions.set(snapshot.originalPositions.subarray(0, bytesToRestore), 0);
+        this.baseOriginalPositions.set(snapshot.baseOriginalPositions.subarray(0, bytesToRestore), 0);
+        this.scrollDirections.set(snapshot.scrollDirections.subarray(0, bytesToRestore), 0);
+        this.velocities.set(snapshot.velocities.subarray(0, bytesToRestore), 0);
+        this.colors.set(snapshot.colors.subarray(0, bytesToRestore), 0);
+        this.tints.set(snapshot.tints.subarray(0, bytesToRestore), 0);
+        this.sizes.set(snapshot.sizes.subarray(0, Math.min(pointsToRestore, snapshot.sizes.length)), 0);
+        this.baseSizes.set(snapshot.baseSizes.subarray(0, Math.min(pointsToRestore, snapshot.baseSizes.length)), 0);
+        this.updateEdgeDistances();
+    }
+
+    // ========== РАЗМЕРЫ ТОЧЕК ==========
+    // Функция генерации размеров частиц
+    generateSizes() {
+        const config = this.config;
+        const baseSize = config.pointSize;
+        const variation = config.sizeVariation;
+        const minSize = baseSize * (1 - variation);
+        const maxSize = baseSize * (1 + variation);
+
+        // Убеждаемся, что массив sizes имеет правильный размер
+        if (this.sizes.length !== this.totalParticleCount) {
+            this.sizes = new Float32Array(this.totalParticleCount);
+        }
+
+        const sizes = this.sizes;
+        const baseSizes = this.baseSizes;
+        const random = createRandom(config.seed, 'sizes');
+        for (let i = 0; i < this.totalParticleCount; i++) {
+            // Сохраняем невидимость точек вне формы (baseSizes[i] === 0)
+            if (i >= this.insideCount && baseSizes && baseSizes[i] === 0) {
+                sizes[i] = 0;
+            } else {
+                sizes[i] = minSize + random() * (maxSize - minSize);
+            }
+        }
+    }
+
+    // Пересчитывает размеры при изменении pointSize или sizeVariation
+    updateSizes() {
+        this.generateSizes();
+
+        const sizes = this.sizes;
+        const baseSizes = this.baseSizes;
+
+        // Обновляем базовые размеры
+        if (baseSizes.length === sizes.length) {
+            baseSizes.set(sizes);
+        }
+
+        // Сбрасываем размеры невидимых точек в 0 в массиве sizes (на случай, если они были изменены волнами)
+        if (baseSizes && sizes && baseSizes.length === sizes.length) {
+            for (let i = this.insideCount; i < sizes.length; i++) {
+                if (baseSizes[i] === 0) {
+                    sizes[i] = 0;
+                }
+            }
+        }
+    }
+
+    // ========== СКРОЛЛ ==========
+    // Смещает исходные позиции вдоль направлений разлёта (progress: 0-1)
+    applyScrollSpread(progress) {
+        this.scrollProgress = progress;
+        const { baseOriginalPositions, originalPositions, scrollDirections } = this;
+        if (baseOriginalPositions.length === 0) return;
+
+        // Обрабатываем все точки (внутри + снаружи формы)
+        const actualParticleCount = Math.min(this.totalParticleCount, baseOriginalPositions.length / 3);
+        const spreadDistance = progress * this.config.scrollSpreadForce * 1.0; // Расстояние разлёта
+
+        for (let i = 0; i < actualParticleCount; i++) {
+            const i3 = i * 3;
+            // Вычисляем смещённую исходную позицию на основе базовой позиции и направления разлёта
+            originalPositions[i3] = baseOriginalPositions[i3] + scrollDirections[i3] * spreadDistance;
+            originalPositions[i3 + 1] = baseOriginalPositions[i3 + 1] + scrollDirections[i3 + 1] * spreadDistance;
+            originalPositions[i3 + 2] = baseOriginalPositions[i3 + 2] + scrollDirections[i3 + 2] * spreadDistance;
+        }
+    }
+
+    // ========== МОРФИНГ ==========
+    // Перестраивает существующие частицы в новую форму вместо новой раскладки.
+    // Частицы сопоставляются новым точкам по рангу вдоль X (соседние частицы получают соседние цели,
+    // пути короткие), исходные позиции и цвета переходят к целям по кривой easing,
+    // а пружина физики тянет частицы следом. Если новых точек (внутри формы или вокруг неё) меньше,
+    // лишние частицы гаснут и удаляются в конце перехода; если больше — новые появляются на своих
+    // местах. Число частиц следует за новой формой: внутри — не больше config.particleCount.
+    // time, duration — мс; easing — { p1x, p1y, p2x, p2y } как у loadAnimationEasingCurve;
+    // distanceField — поле новой формы: расстояния до края считаются по нему с начала перехода
+    morphTo({ insidePoints, outsidePoints = [], shapeSize, insideColors = null, distanceField = null, time, duration, easing }) {
+        const config = this.config;
+        const previousInside = this.insideCount;
+        const previousOutside = this.totalParticleCount - previousInside;
+        const inside = insidePoints.slice(0, config.particleCount);
+
+        // Новым частицам внутри формы освобождаем место перед частицами вокруг неё
+        if (inside.length > previousInside) {
+            this.insertParticles(previousInside, inside.length - previousInside);
+        }
+        const outsideStart = Math.max(previousInside, inside.length);
+        const targetTotal = outsideStart + outsidePoints.length;
+        if (targetTotal > this.totalParticleCount) {
+            this.resize(targetTotal);
+        }
+        this.insideCount = outsideStart; // Гаснущие частицы внутри формы остаются ею до конца перехода
+
+        // Цель для каждой частицы диапазона: индекс точки или -1 (частица гаснет)
+        const insideTargets = this.matchParticles(0, previousInside, inside);
+        const outsideTargets = this.matchParticles(outsideStart, previousOutside, outsidePoints);
+
+        const {
+            positions,
+            baseOriginalPositions,
+            startPositions,
+            scrollDirections,
+            velocities,
+            tints,
+            sizes,
+            baseSizes
+        } = this;
+        const random = createRandom(config.seed, 'morph');
+        const minSize = config.pointSize * (1 - config.sizeVariation);
+        const maxSize = config.pointSize * (1 + config.sizeVariation);
+        const invisibleChance = config.outsideInvisiblePercentage / 100;
+
+        const morph = {
+            startTime: time,
+            duration,
+            easing,
+            insideCount: inside.length,
+            outsideStart,
+            targetTotal,
+            from: baseOriginalPositions.slice(),
+            to: baseOriginalPositions.slice(),
+            fromTints: tints.slice(),
+            toTints: tints.slice(),
+            fromSizes: baseSizes.slice(),
+            toSizes: baseSizes.slice()
+        };
+
+        // isNew — частица добавлена этим переходом (появляется на месте цели)
+        const applyTarget = (index, point, color, isOutside, isNew) => {
+            const i3 = index * 3;
+            if (!point) {
+                morph.toSizes[index] = 0;
+                return;
+            }
+            morph.to[i3] = point.x;
+            morph.to[i3 + 1] = point.y;
+            morph.to[i3 + 2] = point.z;
+            morph.toTints[i3] = color ? color[0] : 1;
+            morph.toTints[i3 + 1] = color ? color[1] : 1;
+            morph.toTints[i3 + 2] = color ? color[2] : 1;
+
+            if (!isNew) {
+                return;
+            }
+            // Новая частица: появляется на месте цели с нулевого размера
+            for (let c = 0; c < 3; c++) {
+                morph.from[i3 + c] = morph.to[i3 + c];
+                morph.fromTints[i3 + c] = morph.toTints[i3 + c];
+                positions[i3 + c] = morph.to[i3 + c];
+                baseOriginalPositions[i3 + c] = morph.to[i3 + c];
+                velocities[i3 + c] = 0;
+            }
+            writeRandomSphereDirection(scrollDirections, i3, random);
+            writeRandomSphereDirection(startPositions, i3, random);
+            const startDistance = shapeSize * (5 + random() * 5);
+            for (let c = 0; c < 3; c++) {
+                startPositions[i3 + c] = morph.to[i3 + c] + startPositions[i3 + c] * startDistance;
+            }
+            morph.fromSizes[index] = 0;
+            sizes[index] = 0;
+            baseSizes[index] = 0;
+            const isInvisible = isOutside && random() < invisibleChance;
+            morph.toSizes[index] = isInvisible ? 0 : minSize + random() * (maxSize - minSize);
+        };
+
+        insideTargets.forEach((pointIndex, k) => {
+            const color = insideColors && pointIndex >= 0 ? insideColors.subarray(pointIndex * 3, pointIndex * 3 + 3) : null;
+            applyTarget(k, pointIndex >= 0 ? inside[pointIndex] : null, color, false, k >= previousInside);
+        });
+        outsideTargets.forEach((pointIndex, k) => {
+            applyTarget(outsideStart + k, pointIndex >= 0 ? outsidePoints[pointIndex] : null, null, true, k >= previousOutside);
+        });
+
+        this.morph = morph;
+        this.distanceField = distanceField;
+    }
+
+    // Сопоставляет частицы [start, start + existing) точкам points по рангу вдоль X.
+    // Переставляет частицы так, что частица start + k получает цель targets[k];
+    // частицы с целью -1 собраны в конце диапазона, индексы k >= existing — новые частицы
+    matchParticles(start, existing, points) {
+        const base = this.baseOriginalPositions;
+        const oldOrder = sortByPosition(
+            existing,
+            k => base[(start + k) * 3],
+            k => base[(start + k) * 3 + 1]
+        ).map(k => start + k);
+        const newOrder = sortByPosition(points.length, k => points[k].x, k => points[k].y);
+        const count = points.length;
+        const targets = new Array(Math.max(existing, count)).fill(-1);
+
+        if (count <= existing) {
+            // Остаются частицы, равномерно распределённые по рангу; остальные уходят в конец и гаснут
+            const order = [];
+            const survives = new Uint8Array(existing);
+            for (let k = 0; k < count; k++) {
+                const rank = Math.floor(k * existing / count);
+                survives[rank] = 1;
+                order.push(oldOrder[rank]);
+                targets[k] = newOrder[k];
+            }
+            for (let rank = 0; rank < existing; rank++) {
+                if (!survives[rank]) {
+                    order.push(oldOrder[rank]);
+                }
+            }
+            this.reorderParticles(start, order);
+        } else {
+            // Каждая частица получает точку с пропорциональным рангом, оставшиеся точки — новым частицам
+            const used = new Uint8Array(count);
+            for (let k = 0; k < existing; k++) {
+                const rank = Math.floor(k * count / existing);
+                used[rank] = 1;
+                targets[k] = newOrder[rank];
+            }
+            this.reorderParticles(start, oldOrder);
+            let next = existing;
+            for (let rank = 0; rank < count; rank++) {
+                if (!used[rank]) {
+                    targets[next++] = newOrder[rank];
+                }
+            }
+        }
+        return targets;
+    }
+
+    // Продвигает морфинг; возвращает true, если он завершился на этом шаге
+    updateMorph(now, result) {
+        const morph = this.morph;
+        const progress = Math.min(1, Math.max(0, (now - morph.startTime) / morph.duration));
+        const { p1x, p1y, p2x, p2y } = morph.easing;
+        const easingValue = bezierEasing(progress, p1x, p1y, p2x, p2y);
+        const { baseOriginalPositions, tints, sizes, baseSizes } = this;
+        const { from, to, fromTints, toTints, fromSizes, toSizes } = morph;
+        const count = from.length / 3;
+
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            for (let c = i3; c < i3 + 3; c++) {
+                baseOriginalPositions[c] = from[c] + (to[c] - from[c]) * easingValue;
+                tints[c] = fromTints[c] + (toTints[c] - fromTints[c]) * easingValue;
+            }
+            if (fromSizes[i] !== toSizes[i]) {
+                const size = fromSizes[i] + (toSizes[i] - fromSizes[i]) * easingValue;
+                baseSizes[i] = size;
+                sizes[i] = size;
+            }
+        }
+        this.applyScrollSpread(this.scrollProgress);
+        this.updateEdgeDistances();
+        result.sizesChanged = true;
+
+        if (progress < 1) {
+            return false;
+        }
+        this.morph = null;
+        // Погасшие частицы собраны в конце диапазонов внутри и вокруг формы: удаляем их
+        if (morph.targetTotal < this.totalParticleCount) {
+            this.resize(morph.targetTotal);
+            result.buffersReplaced = true;
+        }
+        if (morph.insideCount < morph.outsideStart) {
+            this.removeParticles(morph.insideCount, morph.outsideStart - morph.insideCount);
+            result.buffersReplaced = true;
+        }
+        this.insideCount = morph.insideCount;
+        return true;
+    }
+
+    // ========== АНИМАЦИЯ ЗАГРУЗКИ ==========
+    startLoadAnimation(time) {
+        this.random = createRandom(this.config.seed, 'motion');
+        this.config.isLoadingAnimation = true;
+        this.config.loadAnimationStartTime = time;
+    }
+
+    // Возвращает частицы на начальные позиции и запускает анимацию заново
+    restartLoadAnimation(time) {
+        const { positions, startPositions } = this;
+        // Обрабатываем все точки (внутри + снаружи формы)
+        const actualParticleCount = Math.min(this.totalParticleCount, positions.length / 3, startPositions.length / 3);
+        positions.set(startPositions.subarray(0, actualParticleCount * 3));
+
+        // Сбрасываем glow в 0 для плавного нарастания во время анимации
+        this.glows.fill(0);
+        this.hasPreviousStep = false;
+
+        this.startLoadAnimation(time);
+    }
+
+    // ========== ФИКСИРОВАННЫЙ ШАГ ==========
+    // Продвигает симуляцию на реально прошедшее время elapsed (мс). Физика всегда считается шагами
+    // SIMULATION_DT, под которые откалиброваны силы, поэтому движение, скорость волн и возврат после
+    // взрыва не зависят от частоты кадров. Остаток времени копится до следующего вызова, а
+    // renderPositions интерполируются между двумя последними шагами.
+    // inputs — как у step(), inputs.time — время конца интервала. Указатели с id и экранной позицией
+    // screenX/screenY (нормализованные координаты -1..1) получают скорость здесь (measurePointers).
+    // Возвращает объединённый результат шагов
+    advance(elapsed, inputs = {}) {
+        const now = inputs.time ?? 0;
+        this.accumulator += Math.max(0, elapsed);
+        let steps = Math.floor(this.accumulator / SIMULATION_STEP_MS);
+        if (steps > MAX_STEPS_PER_ADVANCE) {
+            steps = MAX_STEPS_PER_ADVANCE;
+            this.accumulator = steps * SIMULATION_STEP_MS;
+        }
+        const pointers = this.measurePointers(
+            inputs.pointers || (inputs.pointer ? [inputs.pointer] : NO_POINTERS),
+            elapsed,
+            steps
+        );
+
+        const result = {
+            positionsChanged: true,
+            colorsChanged: false,
+            sizesChanged: false,
+            glowsChanged: false,
+            loadAnimationEnded: false,
+            morphEnded: false,
+            buffersReplaced: false,
+            spawnedWaves: []
+        };
+        for (let k = 0; k < steps; k++) {
+            this.accumulator -= SIMULATION_STEP_MS;
+            this.previousPositions.set(this.positions);
+            // Каждый шаг получает своё время: взрывы, волны и морфинг идут по времени шагов
+            const stepResult = this.step(SIMULATION_DT, { ...inputs, pointers, time: now - this.accumulator });
+            this.hasPreviousStep = true;
+            for (const flag of STEP_RESULT_FLAGS) {
+                result[flag] = result[flag] || stepResult[flag];
+            }
+            result.spawnedWaves.push(...stepResult.spawnedWaves);
+        }
+
+        this.interpolatePositions(this.accumulator / SIMULATION_STEP_MS);
+        return result;
+    }
+
+    // Скорость указателей для шагов advance(): смещение по экрану с последнего шага, который учёл
+    // указатель, делённое на прошедшее с него время, — в единицах «за SIMULATION_DT». Так сила не
+    // зависит ни от частоты кадров, ни от частоты событий, а все шаги одного advance() получают одну
+    // скорость. В кадрах без шагов смещение копится до ближайшего шага.
+    // Указатели без screenX передают velocityX/velocityY как есть
+    measurePointers(pointers, elapsed, steps) {
+        const tracks = this.pointerTracks;
+        for (const id of tracks.keys()) {
+            if (!pointers.some((pointer) => pointer.id === id)) {
+                tracks.delete(id);
+            }
+        }
+        this.pointerElapsed += Math.max(0, elapsed);
+        if (steps === 0) {
+            return pointers;
+        }
+
+        const scale = this.pointerElapsed > 0 ? SIMULATION_STEP_MS / this.pointerElapsed : 0;
+        this.pointerElapsed = 0;
+        return pointers.map((pointer) => {
+            if (pointer.screenX === undefined) {
+                return pointer;
+            }
+            const track = tracks.get(pointer.id);
+            if (!track) {
+                // Новый указатель начинает без скорости
+                tracks.set(pointer.id, { x: pointer.screenX, y: pointer.screenY });
+                return { ...pointer, velocityX: 0, velocityY: 0 };
+            }
+            const velocityX = (pointer.screenX - track.x) * scale;
+            const velocityY = (pointer.screenY - track.y) * scale;
+            track.x = pointer.screenX;
+            track.y = pointer.screenY;
+            return { ...pointer, velocityX, velocityY };
+        });
+    }
+
+    // renderPositions = previousPositions + (positions − previousPositions) × alpha.
+    // Сразу после раскладки или перезапуска анимации предыдущего шага нет — берутся positions
+    interpolatePositions(alpha) {
+        const { positions, previousPositions, renderPositions } = this;
+        if (!this.hasPreviousStep) {
+            renderPositions.set(positions);
+            return;
+        }
+        for (let i = 0; i < renderPositions.length; i++) {
+            renderPositions[i] = previousPositions[i] + (positions[i] - previousPositions[i]) * alpha;
+        }
+    }
+
+    // ========== ЗАПРОСЫ ПО СОСЕДСТВУ ==========
+    // Сетка с ячейками размером в радиус взаимодействия: запрос курсора перебирает 3×3 ячейки
+    updateGrid(count = Math.min(this.totalParticleCount, this.positions.length / 3)) {
+        this.grid.update(this.positions, count, this.config.interactionRadius);
+    }
+
+    // Индексы частиц, текущие позиции которых в плоскости X/Y не дальше radius от (x, y).
+    // Массив переиспользуется: он действителен до следующего запроса или шага
+    findParticlesNear(x, y, radius) {
+        this.updateGrid();
+        const found = this.grid.query(this.positions, x, y, radius);
+        return this.grid.results.subarray(0, found);
+    }
+
+    // Сила одного указателя в режиме config.pointerMode (неизвестный режим — отталкивание)
+    applyPointerForce(pointer) {
+        if (POINTER_FIELD_MODES.has(this.config.pointerMode)) {
+            this.applyPointerFieldForce(pointer);
+        } else {
+            this.applyRepelForce(pointer);
+        }
+    }
+
+    // Отталкивание с хаотичным отклонением и тангенциальной составляющей.
+    // Сила растёт со скоростью этого указателя, поэтому каждый палец действует по-своему
+    applyRepelForce(pointer) {
+        const { config, positions, velocities } = this;
+        const random = this.random;
+        const forceMultiplier = Math.min(getPointerSpeed(pointer) * config.forceStrength, config.forceStrength * 2);
+        const interactionRadiusSq = config.interactionRadius * config.interactionRadius;
+
+        const found = this.grid.query(positions, pointer.x, pointer.y, config.interactionRadius);
+        const nearby = this.grid.results;
+        for (let k = 0; k < found; k++) {
+            const i3 = nearby[k] * 3;
+
+            // Сетка отобрала частицы по X/Y; радиус проверяем с учётом глубины
+            const dx = positions[i3] - pointer.x;
+            const dy = positions[i3 + 1] - pointer.y;
+            const dz = positions[i3 + 2] - pointer.z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+
+            if (distanceSq < interactionRadiusSq) {
+                // Вычисляем расстояние только если частица в радиусе взаимодействия
+                const distance = Math.sqrt(distanceSq);
+                // Базовое направление от курсора к точке
+                normalizeVec(setVec(baseDirection, dx, dy, dz));
+
+                // Применяем случайное угловое отклонение для создания хаотичности
+                randomDirection3D(baseDirection, config.chaosAngle, config.chaosStrength, chaoticDirection, random);
+
+                // Вычисляем тангенциальное направление (перпендикулярно радиус-вектору)
+                crossVec(tangent, baseDirection, AXIS_Z);
+                if (lengthVec(tangent) < 0.1) {
+                    // Если векторы коллинеарны, используем другой базовый вектор
+                    crossVec(tangent, baseDirection, AXIS_X);
+                }
+                normalizeVec(tangent);
+
+                // Создаём второй перпендикулярный вектор для полного тангенциального пространства
+                normalizeVec(crossVec(tangent2, baseDirection, tangent));
+
+                // Добавляем случайную тангенциальную компоненту в плоскости, перпендикулярной радиус-вектору
+                const tangentialAngle = random() * Math.PI * 2;
+                const tangentX = Math.cos(tangentialAngle);
+                const tangentY = Math.sin(tangentialAngle);
+                setVec(
+                    tangent,
+                    tangent.x * tangentX + tangent2.x * tangentY,
+                    tangent.y * tangentX + tangent2.y * tangentY,
+                    tangent.z * tangentX + tangent2.z * tangentY
+                );
+
+                // Вычисляем силу с расстоянием
+                const distanceFactor = 1 - distance / config.interactionRadius;
+                const baseForce = distanceFactor * forceMultiplier;
+
+                // Добавляем случайную вариацию силы (0.7-1.3)
+                const forceVariation = 0.7 + random() * 0.6;
+                const force = baseForce * forceVariation;
+
+                // Комбинируем радиальную и тангенциальную силы
+                const radialForce = force * (1 - config.tangentialForceRatio);
+                const tangentialForce = force * config.tangentialForceRatio;
+
+                // Добавляем случайную Z-компоненту для трёхмерности
+                const zComponent = (random() - 0.5) * 2 * config.zAxisStrength;
+
+                // Применяем силы к скорости
+                const finalX = chaoticDirection.x * radialForce + tangent.x * tangentialForce;
+                const finalY = chaoticDirection.y * radialForce + tangent.y * tangentialForce;
+                const finalZ = chaoticDirection.z * radialForce + tangent.z * tangentialForce;
+
+                velocities[i3] += finalX * 0.2 * config.timeScale;
+                velocities[i3 + 1] += finalY * 0.2 * config.timeScale;
+                velocities[i3 + 2] += (finalZ + zComponent) * 0.2 * config.timeScale;
+            }
+        }
+    }
+
+    // Притяжение, вихрь, магнит и толкание: ускорение каждый шаг, пока указатель активен
+    // (нажат или движется), в радиусе взаимодействия
+    applyPointerFieldForce(pointer) {
+        const { config, positions, velocities } = this;
+        const mode = config.pointerMode;
+        const radius = config.interactionRadius;
+        const timeScale = config.timeScale;
+
+        // Толкание: направление и сила — от скорости указателя (ограничена, чтобы рывок не разбрасывал форму)
+        const speed = getPointerSpeed(pointer);
+        const dragScale = speed > MAX_DRAG_POINTER_SPEED ? MAX_DRAG_POINTER_SPEED / speed : 1;
+        const dragX = pointer.velocityX * dragScale * config.dragStrength;
+        const dragY = pointer.velocityY * dragScale * config.dragStrength;
+        const ringRadius = config.magnetRingRadius * radius;
+
+        const found = this.grid.query(positions, pointer.x, pointer.y, radius);
+        const nearby = this.grid.results;
+        for (let k = 0; k < found; k++) {
+            const i3 = nearby[k] * 3;
+            const dx = positions[i3] - pointer.x;
+            const dy = positions[i3 + 1] - pointer.y;
+            const dz = positions[i3 + 2] - pointer.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance >= radius || distance === 0) continue;
+
+            // Единичный вектор от указателя к частице
+            const invDistance = 1 / distance;
+            const directionX = dx * invDistance;
+            const directionY = dy * invDistance;
+            const directionZ = dz * invDistance;
+            const t = distance / radius;
+            const falloff = 1 - t;
+            let forceX = 0;
+            let forceY = 0;
+            let forceZ = 0;
+
+            if (mode === 'attract') {
+                // Сила равна нулю у края и в центре: частицы собираются у курсора без дрожания
+                const pull = config.attractStrength * 4 * t * falloff;
+                forceX = -directionX * pull;
+                forceY = -directionY * pull;
+                forceZ = -directionZ * pull;
+            } else if (mode === 'vortex') {
+                // Вращение против часовой стрелки в плоскости экрана и затягивание к центру
+                const swirl = config.vortexStrength * falloff;
+                const pull = config.vortexStrength * config.vortexInward * 4 * t * falloff;
+                const planar = Math.sqrt(dx * dx + dy * dy) || 1;
+                forceX = -dy / planar * swirl - directionX * pull;
+                forceY = dx / planar * swirl - directionY * pull;
+                forceZ = -directionZ * pull;
+            } else if (mode === 'magnet') {
+                // Внутри кольца частицы выталкиваются на него, снаружи — притягиваются
+                const push = config.magnetStrength * (ringRadius - distance) / radius;
+                forceX = directionX * push;
+                forceY = directionY * push;
+                forceZ = directionZ * push;
+            } else {
+                forceX = dragX * falloff;
+                forceY = dragY * falloff;
+            }
+
+            velocities[i3] += forceX * timeScale;
+            velocities[i3 + 1] += forceY * timeScale;
+            velocities[i3 + 2] += forceZ * timeScale;
+        }
+    }
+
+    // Импульс взрыва. explosionRadius = 0 — разлетаются все частицы, каждая по своему направлению
+    // scrollDirections; иначе только частицы в радиусе от точки клика — от неё наружу, слабее к краю
+    applyExplosion(explosion, count, now) {
+        const { config, positions, scrollDirections } = this;
+        const impulseStrength = config.explosionForce * 0.1;
+        const radius = config.explosionRadius;
+
+        if (radius <= 0) {
+            for (let i = 0; i < count; i++) {
+                const i3 = i * 3;
+                this.applyExplosionImpulse(
+                    i, scrollDirections[i3], scrollDirections[i3 + 1], scrollDirections[i3 + 2], impulseStrength, now
+                );
+            }
+            return;
+        }
+
+        const { x, y, z } = explosion.position;
+        const found = this.grid.query(positions, x, y, radius);
+        const nearby = this.grid.results;
+        for (let k = 0; k < found; k++) {
+            const i = nearby[k];
+            const i3 = i * 3;
+            const dx = positions[i3] - x;
+            const dy = positions[i3 + 1] - y;
+            const dz = positions[i3 + 2] - z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (distance > radius) continue;
+
+            const strength = impulseStrength * (1 - distance / radius);
+            if (distance > 0) {
+                this.applyExplosionImpulse(i, dx / distance, dy / distance, dz / distance, strength, now);
+            } else {
+                this.applyExplosionImpulse(
+                    i, scrollDirections[i3], scrollDirections[i3 + 1], scrollDirections[i3 + 2], strength, now
+                );
+            }
+        }
+    }
+
+    applyExplosionImpulse(i, directionX, directionY, directionZ, impulseStrength, now) {
+        const { config, velocities, explosionReturnTimes, explosionGlowEndTimes } = this;
+        const random = this.random;
+        const i3 = i * 3;
+
+        // Добавляем небольшую случайность для более естественного эффекта
+        const randomFactor = 0.2;
+        const randX = (random() - 0.5) * randomFactor;
+        const randY = (random() - 0.5) * randomFactor;
+        const randZ = (random() - 0.5) * randomFactor;
+
+        velocities[i3] += (directionX + randX) * impulseStrength;
+        velocities[i3 + 1] += (directionY + randY) * impulseStrength;
+        velocities[i3 + 2] += (directionZ + randZ) * impulseStrength;
+
+        // Устанавливаем время начала возврата (задержка перед возвратом)
+        const returnTime = now + config.explosionReturnDelay;
+        if (i < explosionReturnTimes.length) {
+            explosionReturnTimes[i] = Math.max(explosionReturnTimes[i], returnTime);
+        }
+
+        // Устанавливаем время окончания подсветки для этой точки
+        const glowEndTime = now + config.explosionGlowDuration;
+        if (i < explosionGlowEndTimes.length) {
+            explosionGlowEndTimes[i] = Math.max(explosionGlowEndTimes[i], glowEndTime);
+        }
+    }
+
+    // ========== ШАГ СИМУЛЯЦИИ ==========
+    // dt    — шаг интегрирования в секундах (SIMULATION_DT для откалиброванного поведения)
+    // inputs — внешнее состояние кадра:
+    //   time      — текущее время в мс (та же шкала, что у loadAnimationStartTime и взрывов)
+    //   pointers  — [{ inside, down, x, y, z, velocityX, velocityY }] активные указатели в мировых
+    //               координатах (мышь, каждый палец); pointer — то же для одного указателя.
+    //               velocityX/velocityY — смещение в нормализованных координатах экрана за SIMULATION_DT
+    //   cameraZ   — Z камеры для затемнения по глубине
+    //   viewport  — { width, height } видимая область в мировых единицах (радиус волн)
+    // Возвращает, какие буферы изменились, и события шага
+    step(dt, inputs = {}) {
+        const config = this.config;
+        const random = this.random;
+        const now = inputs.time ?? 0;
+        const pointers = inputs.pointers || (inputs.pointer ? [inputs.pointer] : NO_POINTERS);
+        const camZ = inputs.cameraZ ?? DEFAULT_CAMERA_Z;
+        const viewport = inputs.viewport || { width: 0, height: 0 };
+
+        const result = {
+            positionsChanged: true,
+            colorsChanged: true,
+            sizesChanged: false,
+            glowsChanged: false,
+            loadAnimationEnded: false,
+            morphEnded: false,
+            buffersReplaced: false,
+            spawnedWaves: []
+        };
+
+        // Морфинг может заменить буферы (удалить погасшие частицы), поэтому выполняется до их чтения
+        if (this.morph) {
+            result.morphEnded = this.updateMorph(now, result);
+        }
+
+        const {
+            positions,
+            originalPositions,
+            startPositions,
+            velocities,
+            colors,
+            tints,
+            edgeDistances,
+            sizes,
+            baseSizes,
+            glows,
+            explosionGlowEndTimes,
+            explosionReturnTimes,
+            totalParticleCount
+        } = this;
+
+        // Логика анимации загрузки
+        if (config.isLoadingAnimation && config.loadAnimationStartTime !== null) {
+            const elapsed = now - config.loadAnimationStartTime;
+            const progress = Math.min(1, Math.max(0, elapsed / config.loadAnimationDuration));
+
+            // Вычисляем значение кривой Безье для текущего прогресса
+            // Кривая определяет прогресс интерполяции в разные моменты времени
+            // Для easing-функции используем только Y-координату, так как X уже задан параметром progress
+            const easingValue = bezierEasing(
+                progress,
+                config.loadAnimationEasingCurve.p1x,
+                config.loadAnimationEasingCurve.p1y,
+                config.loadAnimationEasingCurve.p2x,
+                config.loadAnimationEasingCurve.p2y
+            );
+
+            // Обрабатываем все точки (внутри + снаружи формы)
+            const actualParticleCount = Math.min(totalParticleCount, positions.length / 3);
+
+            // Прямая интерполяция между начальными и целевыми позициями
+            // easingValue управляется кривой Безье и определяет прогресс анимации
+            for (let i = 0; i < actualParticleCount; i++) {
+                const i3 = i * 3;
+
+                // Линейная интерполяция: position = start + (target - start) * easingValue
+                positions[i3] = startPositions[i3] + (originalPositions[i3] - startPositions[i3]) * easingValue;
+                positions[i3 + 1] = startPositions[i3 + 1] + (originalPositions[i3 + 1] - startPositions[i3 + 1]) * easingValue;
+                positions[i3 + 2] = startPositions[i3 + 2] + (originalPositions[i3 + 2] - startPositions[i3 + 2]) * easingValue;
+            }
+
+            // Обновляем цвета на основе ТОЛЬКО Z-расстояния от камеры во время анимации загрузки
+            // FIX: Используем только Z-координату, чтобы избежать эффекта виньетки (затемнения по краям экрана)
+            for (let i = 0; i < actualParticleCount; i++) {
+                const i3 = i * 3;
+                if (i3 + 2 >= colors.length) break;
+
+                const distance = Math.abs(positions[i3 + 2] - camZ);
+
+                // Нормализуем расстояние с фиксированным диапазоном
+                const normalizedDistance = Math.max(0, Math.min(1, distance / FIXED_DISTANCE_RANGE));
+
+                // Применяем эффект глубины с config.depthDarkeningStrength и подсветку края формы
+                const brightness = (1.0 - normalizedDistance * config.depthDarkeningStrength) *
+                    getEdgeBrightness(edgeDistances[i], config);
+                const clampedBrightness = Math.max(0.0, Math.min(1.0, brightness));
+
+                colors[i3] = clampedBrightness * tints[i3];
+                colors[i3 + 1] = clampedBrightness * tints[i3 + 1];
+                colors[i3 + 2] = clampedBrightness * tints[i3 + 2];
+            }
+
+            // Плавное нарастание glow во время анимации загрузки
+            // Используем easingValue чтобы glow синхронно появлялся с анимацией позиций
+            // Свечение края формы (config.edgeGlow) нарастает вместе с основным
+            const currentGlowValue = config.glowBrightness * easingValue;
+            const currentEdgeGlow = config.edgeGlow * easingValue;
+            for (let i = 0; i < actualParticleCount && i < glows.length; i++) {
+                const edgeGlow = currentEdgeGlow * getEdgeFactor(edgeDistances[i], config.edgeWidth);
+                glows[i] = Math.min(currentGlowValue + edgeGlow, 1.0);
+            }
+            result.glowsChanged = true;
+
+            // Проверяем, завершена ли анимация по времени
+            if (progress >= 1.0) {
+                config.isLoadingAnimation = false;
+                // Инициализируем первую волну после завершения анимации появления
+                if (config.waveEnabled && config.lastWaveTime === null) {
+                    config.lastWaveTime = now;
+                }
+                result.loadAnimationEnded = true;
+            } else {
+                return result; // Пропускаем обычную физику во время анимации загрузки
+            }
+        }
+
+        // ========== ЛОГИКА ВОЛНЫ ==========
+        // Максимальный радиус волны — половина диагонали видимой области
+        const maxWaveRadius = Math.sqrt(viewport.width * viewport.width + viewport.height * viewport.height) / 2;
+
+        // Предвычисляем границы влияния всех волн для оптимизации
+        let waveBoundsMin = Infinity;
+        let waveBoundsMax = -Infinity;
+        const waveSigma = config.waveWidth / 2;
+        const waveCutoffDistance = 2 * waveSigma; // Максимальное расстояние влияния волны
+        const waveInvSigma = waveSigma > 0 ? 1.0 / waveSigma : 0;
+
+        // Создаём новые волны и распространяем существующие
+        if (config.waveEnabled && !config.isLoadingAnimation) {
+            // Инициализируем первую волну после завершения анимации появления
+            if (config.lastWaveTime === null) {
+                config.lastWaveTime = now;
+            }
+
+            // Создаём новую волну через заданный интервал, независимо от других
+            const timeSinceLastWave = now - config.lastWaveTime;
+            if (timeSinceLastWave >= config.waveInterval) {
+                const wave = {
+                    radius: 0,
+                    startTime: now,
+                    id: now
+                };
+                config.waves.push(wave);
+                config.lastWaveTime = now;
+                result.spawnedWaves.push(wave);
+            }
+
+            // Распространяем все активные волны и удаляем вышедшие за пределы
+            for (let i = config.waves.length - 1; i >= 0; i--) {
+                const wave = config.waves[i];
+                wave.radius += config.waveSpeed * dt * config.timeScale;
+
+                // Удаляем волны, которые вышли за пределы экрана
+                if (wave.radius >= maxWaveRadius + config.waveWidth) {
+                    config.waves.splice(i, 1);
+                } else {
+                    // Предвычисляем границы влияния для early exit оптимизации
+                    const waveCenterRadius = wave.radius - config.waveWidth / 2;
+                    waveBoundsMin = Math.min(waveBoundsMin, waveCenterRadius - waveCutoffDistance);
+                    waveBoundsMax = Math.max(waveBoundsMax, waveCenterRadius + waveCutoffDistance);
+                }
+            }
+        }
+
+        // Используем минимальный размер из всех массивов, чтобы гарантировать безопасный доступ
+        const actualParticleCount = Math.min(
+            totalParticleCount,
+            positions.length / 3,
+            originalPositions.length / 3,
+            startPositions.length / 3,
+            velocities.length / 3,
+            colors.length / 3
+        );
+
+        if (this.distanceBuffer.length < actualParticleCount) {
+            this.distanceBuffer = new Float32Array(actualParticleCount);
+        }
+        const distanceBuffer = this.distanceBuffer;
+
+        // Вычисляем глубину (только Z-расстояние от камеры)
+        // Используем ТОЛЬКО Z-координату, чтобы точки по бокам канваса НЕ затемнялись.
+        // Диапазон фиксированный, чтобы яркость каждой точки зависела только от её собственной Z-позиции
+        for (let i = 0; i < actualParticleCount; i++) {
+            distanceBuffer[i] = Math.abs(positions[i * 3 + 2] - camZ);
+        }
+
+        const interactionActive = pointers.some(isPointerActive);
+        const hasExplosions = config.explosionEnabled && config.explosions.length > 0;
+        const waveActive = config.waveEnabled && config.waves.length > 0;
+
+        // Центр волн — начало координат (центр формы)
+        const waveCenterX = 0;
+        const waveCenterY = 0;
+        const waveCenterZ = 0;
+
+        // ========== ВОЗДЕЙСТВИЕ УКАЗАТЕЛЕЙ ==========
+        // Сила действует только в радиусе взаимодействия: частицы рядом с указателем берутся из сетки,
+        // поэтому стоимость зависит от числа затронутых частиц, а не от totalParticleCount.
+        // Все активные указатели (мышь, пальцы) действуют одновременно
+        const localExplosions = hasExplosions && config.explosionRadius > 0;
+        if (interactionActive || localExplosions) {
+            this.updateGrid(actualParticleCount);
+        }
+
+        if (interactionActive) {
+            for (const pointer of pointers) {
+                if (isPointerActive(pointer)) {
+                    this.applyPointerForce(pointer);
+                }
+            }
+        }
+
+        // ========== ВОЗДЕЙСТВИЕ ВЗРЫВА ==========
+        if (hasExplosions) {
+            for (const explosion of config.explosions) {
+                if (explosion.applied) continue; // Пропускаем уже применённые взрывы
+                this.applyExplosion(explosion, actualParticleCount, now);
+            }
+        }
+
+        let sizesUpdated = false;
+        let glowsUpdated = false;
+
+        for (let i = 0; i < actualParticleCount; i++) {
+            const i3 = i * 3;
+
+            // Автономное движение - плавные случайные силы (применяются не каждый кадр для плавности)
+            // Оптимизация: генерируем случайные значения только если нужно
+            if (config.autonomousMotionStrength > 0 && random() < 0.3) {
+                const randomFactor = config.autonomousMotionStrength * 0.3 * config.timeScale;
+                velocities[i3] += (random() - 0.5) * randomFactor;
+                velocities[i3 + 1] += (random() - 0.5) * randomFactor;
+                velocities[i3 + 2] += (random() - 0.5) * randomFactor;
+            }
+
+            // ========== ВОЗДЕЙСТВИЕ ВОЛНЫ ==========
+            let totalWaveSizeFactor = 0; // Множитель размера от волн (накапливаем forceFactor)
+
+            if (waveActive) {
+                // Вычисляем расстояние от центра волны до частицы
+                const dx = positions[i3] - waveCenterX;
+                const dy = positions[i3 + 1] - waveCenterY;
+                const dz = positions[i3 + 2] - waveCenterZ;
+                const waveDistance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                // Early exit: проверяем, находится ли частица в зоне влияния любой волны
+                if (waveDistance >= waveBoundsMin && waveDistance <= waveBoundsMax) {
+                    // Направление от центра к частице (радиально наружу) — одно для всех волн
+                    const invDistance = 1.0 / waveDistance;
+                    const directionX = dx * invDistance;
+                    const directionY = dy * invDistance;
+                    const directionZ = dz * invDistance;
+
+                    // Применяем силы от всех волн, которые затрагивают эту точку
+                    let totalWaveForceX = 0;
+                    let totalWaveForceY = 0;
+                    let totalWaveForceZ = 0;
+
+                    for (const wave of config.waves) {
+                        // Центр волны (середина по толщине - максимальный эффект)
+                        const waveCenterRadius = wave.radius - config.waveWidth / 2;
+                        const distanceFromCenter = Math.abs(waveDistance - waveCenterRadius);
+
+                        // Проверяем, находится ли частица в зоне этой волны
+                        if (distanceFromCenter <= waveCutoffDistance) {
+                            // Гауссово распределение: exp(-falloff * (x/σ)²)
+                            const normalizedDistance = distanceFromCenter * waveInvSigma;
+                            const forceFactor = Math.exp(-config.waveForceFalloff * normalizedDistance * normalizedDistance);
+
+                            // Вычисляем силу от этой волны
+                            const waveForce = config.waveForce * forceFactor * config.timeScale;
+
+                            // Суммируем силы от всех волн
+                            totalWaveForceX += directionX * waveForce;
+                            totalWaveForceY += directionY * waveForce;
+                            totalWaveForceZ += directionZ * waveForce;
+
+                            // Накапливаем forceFactor для эффекта размера (та же интенсивность, что и для силы/свечения)
+                            totalWaveSizeFactor += forceFactor;
+                        }
+                    }
+
+                    // Применяем суммарную силу от всех волн
+                    velocities[i3] += totalWaveForceX;
+                    velocities[i3 + 1] += totalWaveForceY;
+                    velocities[i3 + 2] += totalWaveForceZ;
+                }
+            }
+
+            // Обновляем размер точки на основе эффекта волны
+            if (waveActive && i < baseSizes.length) {
+                const baseSize = baseSizes[i];
+
+                if (baseSize === 0) {
+                    // Для невидимых точек: плавное появление и исчезновение при прохождении волны
+                    if (totalWaveSizeFactor > 0) {
+                        const minSize = config.pointSize * (1 - config.sizeVariation);
+                        const maxSize = config.pointSize * (1 + config.sizeVariation);
+                        // Детерминированный псевдослучайный размер невидимой точки на основе её индекса
+                        const hash = ((i * 2654435761) % 2147483647) / 2147483647;
+                        const invisibleBaseSize = minSize + hash * (maxSize - minSize);
+                        // Плавное появление/исчезновение: ограничиваем до 1.0, чтобы наложение волн не давало превышения
+                        const fadeFactor = Math.min(totalWaveSizeFactor, 1.0);
+                        sizes[i] = invisibleBaseSize * fadeFactor;
+                    } else {
+                        sizes[i] = 0; // Остаемся невидимыми, если волна не проходит
+                    }
+                } else {
+                    // Для видимых точек: увеличиваем размер до 150% (1.0 + 0.5 * factor)
+                    const sizeMultiplier = 1.0 + totalWaveSizeFactor * 0.5;
+                    sizes[i] = baseSize * sizeMultiplier;
+                }
+                sizesUpdated = true;
+            }
+
+            positions[i3] += velocities[i3] * config.timeScale;
+            positions[i3 + 1] += velocities[i3 + 1] * config.timeScale;
+            positions[i3 + 2] += velocities[i3 + 2] * config.timeScale;
+
+            // Проверяем, не находится ли точка в состоянии "разлёта" после взрыва
+            // Если время возврата ещё не наступило, не применяем силу пружины
+            const isInExplosionFlight = i < explosionReturnTimes.length && explosionReturnTimes[i] > now;
+
+            if (isInExplosionFlight) {
+                // Точка ещё в разлёте - применяем скорость разлёта и лёгкое демпфирование,
+                // но не притягиваем обратно
+                const flightDt = dt * config.timeScale * config.explosionSpeed; // Применяем множитель скорости разлёта
+                velocities[i3] *= 0.98; // Лёгкое замедление во время разлёта
+                velocities[i3 + 1] *= 0.98;
+                velocities[i3 + 2] *= 0.98;
+                positions[i3] += velocities[i3] * flightDt;
+                positions[i3 + 1] += velocities[i3 + 1] * flightDt;
+                positions[i3 + 2] += velocities[i3 + 2] * flightDt;
+            } else {
+                // Система пружины-демпфера для возврата к исходной позиции
+                const displacementX = originalPositions[i3] - positions[i3];
+                const displacementY = originalPositions[i3 + 1] - positions[i3 + 1];
+                const displacementZ = originalPositions[i3 + 2] - positions[i3 + 2];
+                // Оптимизация: используем distance squared для сравнения с порогом
+                const displacementLengthSq = displacementX * displacementX +
+                    displacementY * displacementY +
+                    displacementZ * displacementZ;
+                const velocityLengthSq = velocities[i3] * velocities[i3] +
+                    velocities[i3 + 1] * velocities[i3 + 1] +
+                    velocities[i3 + 2] * velocities[i3 + 2];
+
+                // Если смещение и скорость очень маленькие, просто возвращаем на место и останавливаем
+                const threshold = 0.001; // Порог для остановки
+                const thresholdSq = threshold * threshold; // Квадрат порога для сравнения
+                if (displacementLengthSq < thresholdSq && velocityLengthSq < thresholdSq) {
+                    positions[i3] = originalPositions[i3];
+                    positions[i3 + 1] = originalPositions[i3 + 1];
+                    positions[i3 + 2] = originalPositions[i3 + 2];
+                    velocities[i3] = 0;
+                    velocities[i3 + 1] = 0;
+                    velocities[i3 + 2] = 0;
+                } else {
+                    // Обновляем скорость силой пружины: velocity += springConstant * displacement * dt
+                    const springDt = dt * config.timeScale; // Применяем глобальный множитель скорости
+                    velocities[i3] += displacementX * config.springConstant * springDt;
+                    velocities[i3 + 1] += displacementY * config.springConstant * springDt;
+                    velocities[i3 + 2] += displacementZ * config.springConstant * springDt;
+
+                    // Применяем демпфирование: экспоненциальное затухание скорости
+                    velocities[i3] *= config.damping;
+                    velocities[i3 + 1] *= config.damping;
+                    velocities[i3 + 2] *= config.damping;
+
+                    // Обновляем позицию: position += velocity * dt
+                    positions[i3] += velocities[i3] * springDt;
+                    positions[i3 + 1] += velocities[i3 + 1] * springDt;
+                    positions[i3 + 2] += velocities[i3 + 2] * springDt;
+                }
+            }
+        }
+
+        if (!waveActive && this.wasWaveActive) {
+            const count = Math.min(sizes.length, baseSizes.length);
+            if (count > 0) {
+                sizes.set(baseSizes.subarray(0, count), 0);
+                sizesUpdated = true;
+            }
+        }
+        this.wasWaveActive = waveActive;
+
+        if (this.cachedGlowBrightness !== config.glowBrightness ||
+            this.cachedVelocityGlowMultiplier !== config.velocityGlowMultiplier ||
+            this.cachedEdgeGlow !== config.edgeGlow ||
+            this.cachedEdgeWidth !== config.edgeWidth) {
+            this.cachedGlowBrightness = config.glowBrightness;
+            this.cachedVelocityGlowMultiplier = config.velocityGlowMultiplier;
+            this.cachedEdgeGlow = config.edgeGlow;
+            this.cachedEdgeWidth = config.edgeWidth;
+            this.glowStaticNeedsUpdate = true;
+        }
+        const glowIsDynamic = config.velocityGlowMultiplier > 0;
+
+        // Обновляем цвета: базовая яркость с эффектом глубины
+        // Точки дальше от камеры немного темнее (регулируется config.depthDarkeningStrength)
+        const brightnessScale = config.maxBrightness;
+
+        for (let i = 0; i < actualParticleCount && i < distanceBuffer.length; i++) {
+            const i3 = i * 3;
+            if (i3 + 2 >= colors.length) break;
+
+            // Нормализуем расстояние от 0 до 1 относительно ФИКСИРОВАННОГО диапазона
+            const normalizedDistance = (distanceBuffer[i] - FIXED_MIN_DISTANCE) / FIXED_DISTANCE_RANGE;
+            // Ограничиваем normalizedDistance в [0, 1] чтобы избежать артефактов при экстремальных Z
+            const clampedNormalizedDistance = Math.max(0, Math.min(1, normalizedDistance));
+            // Эффект глубины: дальние точки темнее (сила регулируется в панели управления)
+            let baseBrightness = 1.0 - clampedNormalizedDistance * config.depthDarkeningStrength;
+
+            // Невидимые точки вне волны полностью скрываем (размер — индикатор прохождения волны)
+            if (i < baseSizes.length && baseSizes[i] === 0 && (sizes[i] || 0) === 0) {
+                baseBrightness = 0;
+            }
+
+            // Вычисляем свечение от волн ОТДЕЛЬНО (не добавляем к baseBrightness)
+            let totalWaveGlow = 0;
+            if (waveActive) {
+                const dx = positions[i3] - waveCenterX;
+                const dy = positions[i3 + 1] - waveCenterY;
+                const dz = positions[i3 + 2] - waveCenterZ;
+                const waveDistance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+                // Early exit: используем те же границы, что и для физики
+                if (waveDistance >= waveBoundsMin && waveDistance <= waveBoundsMax) {
+                    for (const wave of config.waves) {
+                        const waveCenterRadius = wave.radius - config.waveWidth / 2;
+                        const distanceFromCenter = Math.abs(waveDistance - waveCenterRadius);
+
+                        if (distanceFromCenter <= waveCutoffDistance) {
+                            // Гауссово распределение: exp(-falloff * (x/σ)²)
+                            const normalizedWaveDistance = distanceFromCenter * waveInvSigma;
+                            const glowFactor = Math.exp(-config.waveForceFalloff * normalizedWaveDistance * normalizedWaveDistance);
+                            totalWaveGlow += config.waveGlowIntensity * glowFactor;
+                        }
+                    }
+
+                    // Ограничиваем максимальное свечение
+                    totalWaveGlow = Math.min(totalWaveGlow, config.waveGlowIntensity);
+                }
+            }
+
+            // Масштабируем базовую яркость (с подсветкой края формы)
+            let scaledBrightness = baseBrightness * brightnessScale * getEdgeBrightness(edgeDistances[i], config);
+
+            // ПОСЛЕ масштабирования затемняем точки вне формы
+            // НО не затемняем при maxBrightness >= 99% (максимальная яркость для всех точек)
+            const isOutsideShape = i >= this.insideCount;
+            if (isOutsideShape && config.maxBrightness < 0.99) {
+                scaledBrightness *= 0.5; // Сделать бледнее (50% яркости)
+            }
+
+            // ПОСЛЕ масштабирования и затемнения добавляем эффект волны
+            let finalBrightness = scaledBrightness + totalWaveGlow;
+
+            // Добавляем эффект подсветки от взрыва
+            if (config.explosionEnabled && i < explosionGlowEndTimes.length) {
+                const glowEndTime = explosionGlowEndTimes[i];
+                if (glowEndTime > now) {
+                    // Плавное затухание подсветки
+                    const fadeFactor = (glowEndTime - now) / config.explosionGlowDuration;
+                    finalBrightness += config.explosionGlowIntensity * fadeFactor;
+                }
+            }
+
+            // Свечение точек у края формы
+            const edgeGlow = config.edgeGlow > 0 ? config.edgeGlow * getEdgeFactor(edgeDistances[i], config.edgeWidth) : 0;
+
+            // Вычисляем glow эффект на основе скорости движения точки
+            if (glowIsDynamic) {
+                const vx = velocities[i3];
+                const vy = velocities[i3 + 1];
+                const vz = velocities[i3 + 2];
+                const velocityMag = Math.sqrt(vx * vx + vy * vy + vz * vz);
+
+                // Добавляем свечение от скорости и ограничиваем до 1.0
+                const particleGlow = Math.min(config.glowBrightness + velocityMag * config.velocityGlowMultiplier + edgeGlow, 1.0);
+                if (i < glows.length) {
+                    glows[i] = particleGlow;
+                }
+                glowsUpdated = true;
+            } else if (this.glowStaticNeedsUpdate) {
+                if (i < glows.length) {
+                    glows[i] = Math.min(config.glowBrightness + edgeGlow, 1.0);
+                }
+                glowsUpdated = true;
+            }
+
+            // Ограничиваем финальную яркость до 1.0
+            finalBrightness = Math.min(finalBrightness, 1.0);
+
+            colors[i3] = finalBrightness * tints[i3];
+            colors[i3 + 1] = finalBrightness * tints[i3 + 1];
+            colors[i3 + 2] = finalBrightness * tints[i3 + 2];
+        }
+
+        if (!glowIsDynamic && this.glowStaticNeedsUpdate) {
+            this.glowStaticNeedsUpdate = false;
+        }
+
+        // ========== ОЧИСТКА ВЗРЫВОВ ==========
+        // Импульс взрыва мгновенный: после применения взрывы удаляются
+        if (config.explosions.length > 0) {
+            config.explosions = [];
+        }
+
+        result.sizesChanged = sizesUpdated;
+        result.glowsChanged = glowsUpdated;
+        return result;
+    }
+}
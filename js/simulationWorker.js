@@ -0,0 +1,142 @@
+// ========== СИМУЛЯЦИЯ В WEB WORKER ==========
+// Точка входа воркера: владеет ParticleSimulation и её массивами, выполняет команды
+// WorkerSimulation (js/workerSimulation.js) в порядке поступления и после каждого advance
+// отправляет буферы для отрисовки.
+//
+// Буферы вывода (renderPositions, colors, sizes, glows) приходят от главного потока:
+// - SharedArrayBuffer (страница cross-origin isolated): воркер пишет в них напрямую;
+// - обычные ArrayBuffer: передаются туда и обратно как transferable, воркер заполняет свободный
+//   набор и возвращает его с кадром. Если свободного набора нет, выделяется новый.
+
+import { ParticleSimulation } from './simulation.js';
+import { OUTPUT_BUFFERS } from './workerSimulation.js';
+
+let simulation = null;
+let snapshot = null; // Цели точек внутри формы между snapshotInsideTargets и restoreInsideTargets
+let sharedOutput = null; // Набор массивов на SharedArrayBuffer или null
+let version = 0; // Номер последней раскладки: главный поток отбрасывает кадры старых раскладок
+const freeOutputs = []; // Свободные наборы массивов (transferable)
+// Буферы, изменённые командами с прошлого кадра: главный поток должен загрузить их в GPU
+const pendingFlags = { colorsChanged: false, sizesChanged: false, glowsChanged: false };
+
+function markAllChanged() {
+    pendingFlags.colorsChanged = true;
+    pendingFlags.sizesChanged = true;
+    pendingFlags.glowsChanged = true;
+}
+
+// Изменения CONFIG из главного потока (параметры времени выполнения воркер ведёт сам)
+function applyConfig(changes) {
+    const config = simulation.config;
+    Object.assign(config, changes);
+    if (changes.waveEnabled === false) {
+        config.waves = [];
+        config.lastWaveTime = null;
+    }
+    if (changes.explosionEnabled === false) {
+        config.explosions = [];
+    }
+}
+
+// Набор массивов вывода размера total: общий, свободный подходящий или новый.
+// Общий набор старого размера не подходит: кадр с новым числом частиц передаётся копией,
+// пока главный поток не пришлёт общий набор нового размера
+function takeOutput(total) {
+    if (sharedOutput && sharedOutput.sizes.length === total) {
+        return sharedOutput;
+    }
+    while (freeOutputs.length > 0) {
+        const output = freeOutputs.pop();
+        if (output.sizes.length === total) {
+            return output;
+        }
+    }
+    const output = {};
+    for (const [name, stride] of OUTPUT_BUFFERS) {
+        output[name] = new Float32Array(total * stride);
+    }
+    return output;
+}
+
+function writeOutput(output) {
+    for (const [name] of OUTPUT_BUFFERS) {
+        const source = simulation[name];
+        const target = output[name];
+        target.set(source.length > target.length ? source.subarray(0, target.length) : source);
+    }
+}
+
+const commands = {
+    init({ config }) {
+        simulation = new ParticleSimulation(config);
+    },
+    layoutParticles({ layout, version: layoutVersion }) {
+        version = layoutVersion;
+        simulation.layoutParticles(layout);
+        markAllChanged();
+    },
+    morphTo({ morph, version: morphVersion }) {
+        version = morphVersion;
+        simulation.morphTo(morph);
+        markAllChanged();
+    },
+    snapshotInsideTargets() {
+        snapshot = simulation.snapshotInsideTargets();
+    },
+    restoreInsideTargets() {
+        if (snapshot) {
+            simulation.restoreInsideTargets(snapshot);
+            snapshot = null;
+            markAllChanged();
+        }
+    },
+    applyScrollSpread({ progress }) {
+        simulation.applyScrollSpread(progress);
+    },
+    updateSizes() {
+        simulation.updateSizes();
+        pendingFlags.sizesChanged = true;
+    },
+    startLoadAnimation({ time }) {
+        simulation.startLoadAnimation(time);
+    },
+    restartLoadAnimation({ time }) {
+        simulation.restartLoadAnimation(time);
+        markAllChanged();
+    },
+    output({ output }) {
+        sharedOutput = output;
+    },
+    recycle({ output }) {
+        freeOutputs.push(output);
+    },
+    advance({ elapsed, inputs, explosions }) {
+        simulation.config.explosions.push(...explosions);
+        const result = simulation.advance(elapsed, inputs);
+        for (const flag of Object.keys(pendingFlags)) {
+            result[flag] = result[flag] || pendingFlags[flag];
+            pendingFlags[flag] = false;
+        }
+
+        const total = simulation.totalParticleCount;
+        const output = takeOutput(total);
+        writeOutput(output);
+        const transfer = output === sharedOutput
+            ? []
+            : OUTPUT_BUFFERS.map(([name]) => output[name].buffer);
+        self.postMessage({
+            type: 'frame',
+            version,
+            total,
+            result,
+            output: output === sharedOutput ? null : output
+        }, transfer);
+    }
+};
+
+self.onmessage = ({ data }) => {
+    if (data.config && simulation) {
+        applyConfig(data.config);
+    }
+    commands[data.type](data);
+};
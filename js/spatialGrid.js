@@ -0,0 +1,154 @@
+// ========== ПРОСТРАНСТВЕННАЯ СЕТКА ЧАСТИЦ ==========
+// Равномерная сетка по X/Y поверх позиций частиц: запрос «частицы в радиусе» перебирает только
+// ячейки круга, а не все частицы. Ячейки хешируются в таблицу фиксированного размера, поэтому
+// границы сцены заранее знать не нужно. Без Three.js и DOM.
+//
+// Частицы ячейки связаны двусвязным списком по индексам. update() переносит в другой список только
+// частицы, сменившие ячейку; полная перестройка — при смене числа частиц или размера ячейки.
+// По Z сетка не делит: запрос возвращает частицы, близкие в плоскости, глубину проверяет вызывающий.
+
+// Размер таблицы ячеек — не меньше числа частиц (степень двойки)
+const MIN_TABLE_SIZE = 1024;
+
+const NONE = -1;
+
+function hashCell(cellX, cellY, mask) {
+    return (Math.imul(cellX, 73856093) ^ Math.imul(cellY, 19349663)) & mask;
+}
+
+export class SpatialHashGrid {
+    constructor() {
+        this.count = 0;
+        this.cellSize = 0;
+        this.heads = new Int32Array(0); // Первая частица в каждой ячейке таблицы
+        this.cellX = new Int32Array(0); // Ячейка каждой частицы
+        this.cellY = new Int32Array(0);
+        this.buckets = new Int32Array(0); // Ячейка таблицы каждой частицы
+        this.next = new Int32Array(0);
+        this.previous = new Int32Array(0);
+        this.results = new Int32Array(64); // Индексы, найденные последним query()
+    }
+
+    // Приводит сетку к текущим позициям (positions — xyz подряд, count частиц)
+    update(positions, count, cellSize) {
+        if (count !== this.count || cellSize !== this.cellSize) {
+            this.rebuild(positions, count, cellSize);
+            return;
+        }
+
+        const invCellSize = 1 / cellSize;
+        const mask = this.heads.length - 1;
+        const { cellX, cellY } = this;
+        for (let i = 0; i < count; i++) {
+            const x = Math.floor(positions[i * 3] * invCellSize);
+            const y = Math.floor(positions[i * 3 + 1] * invCellSize);
+            if (x !== cellX[i] || y !== cellY[i]) {
+                this.unlink(i);
+                cellX[i] = x;
+                cellY[i] = y;
+                this.link(i, hashCell(x, y, mask));
+            }
+        }
+    }
+
+    rebuild(positions, count, cellSize) {
+        let tableSize = MIN_TABLE_SIZE;
+        while (tableSize < count) tableSize *= 2;
+
+        this.count = count;
+        this.cellSize = cellSize;
+        this.heads = new Int32Array(tableSize).fill(NONE);
+        this.cellX = new Int32Array(count);
+        this.cellY = new Int32Array(count);
+        this.buckets = new Int32Array(count);
+        this.next = new Int32Array(count);
+        this.previous = new Int32Array(count);
+
+        const invCellSize = 1 / cellSize;
+        const mask = tableSize - 1;
+        for (let i = 0; i < count; i++) {
+            const x = Math.floor(positions[i * 3] * invCellSize);
+            const y = Math.floor(positions[i * 3 + 1] * invCellSize);
+            this.cellX[i] = x;
+            this.cellY[i] = y;
+            this.link(i, hashCell(x, y, mask));
+        }
+    }
+
+    link(i, bucket) {
+        const head = this.heads[bucket];
+        this.buckets[i] = bucket;
+        this.previous[i] = NONE;
+        this.next[i] = head;
+        if (head !== NONE) {
+            this.previous[head] = i;
+        }
+        this.heads[bucket] = i;
+    }
+
+    unlink(i) {
+        const previous = this.previous[i];
+        const next = this.next[i];
+        if (previous !== NONE) {
+            this.next[previous] = next;
+        } else {
+            this.heads[this.buckets[i]] = next;
+        }
+        if (next !== NONE) {
+            this.previous[next] = previous;
+        }
+    }
+
+    // Частицы, у которых расстояние до (x, y) в плоскости не больше radius.
+    // Возвращает их число; индексы — в this.results[0..число)
+    query(positions, x, y, radius) {
+        const { cellSize, count } = this;
+        const radiusSq = radius * radius;
+        let found = 0;
+
+        const minCellX = Math.floor((x - radius) / cellSize);
+        const maxCellX = Math.floor((x + radius) / cellSize);
+        const minCellY = Math.floor((y - radius) / cellSize);
+        const maxCellY = Math.floor((y + radius) / cellSize);
+        const cellCount = (maxCellX - minCellX + 1) * (maxCellY - minCellY + 1);
+
+        // Круг больше облака частиц: перебор всех частиц дешевле перебора ячеек
+        if (!(cellCount <= count)) {
+            for (let i = 0; i < count; i++) {
+                const dx = positions[i * 3] - x;
+                const dy = positions[i * 3 + 1] - y;
+                if (dx * dx + dy * dy <= radiusSq) {
+                    found = this.pushResult(found, i);
+                }
+            }
+            return found;
+        }
+
+        const mask = this.heads.length - 1;
+        const { heads, next, cellX, cellY } = this;
+        for (let cy = minCellY; cy <= maxCellY; cy++) {
+            for (let cx = minCellX; cx <= maxCellX; cx++) {
+                for (let i = heads[hashCell(cx, cy, mask)]; i !== NONE; i = next[i]) {
+                    // В ячейке таблицы могут оказаться частицы других ячеек сетки
+                    if (cellX[i] !== cx || cellY[i] !== cy) continue;
+                    const dx = positions[i * 3] - x;
+                    const dy = positions[i * 3 + 1] - y;
+                    if (dx * dx + dy * dy <= radiusSq) {
+                        found = this.pushResult(found, i);
+                    }
+                }
+            }
+        }
+        return found;
+    }
+
+    pushResult(found, i) {
+        if (found === this.results.length) {
+            const results = new Int32Array(found * 2);
+            results.set(this.results);
+            this.results = results;
+        }
+        this.results[found] = i;
+        return found + 1;
+    }
+}
@@ -0,0 +1,289 @@
+// ========== СИМУЛЯЦИЯ В WEB WORKER: ГЛАВНЫЙ ПОТОК ==========
+// WorkerSimulation повторяет интерфейс ParticleSimulation, который использует ParticleText, но
+// физика идёт в воркере (js/simulationWorker.js) и не занимает главный поток. Команды
+// (раскладка, морфинг, скролл, размеры, анимация загрузки) отправляются сообщениями в порядке
+// вызова; изменения CONFIG уходят вместе с ближайшим сообщением.
+//
+// Массивы renderPositions, colors, sizes и glows здесь — копии для отрисовки: их заполняют кадры
+// воркера. advance() отправляет время и ввод кадра и сразу возвращает результат кадров, пришедших
+// с прошлого вызова, поэтому картинка отстаёт от физики на один кадр. Пока воркер не ответил,
+// новые advance() только копят время — очередь сообщений не растёт.
+// После раскладки или морфинга прежние массивы отрисовываются до первого кадра новой версии;
+// если число частиц изменилось, массивы заменяются с этим кадром (результат с buffersReplaced).
+//
+// Если воркер упал или не прислал первый кадр за FIRST_FRAME_TIMEOUT_MS, он завершается, а
+// раскладка восстанавливается в ParticleSimulation главного потока повтором команд с последней
+// layoutParticles(). Новую симуляцию получает onFallback: ParticleText переключается на неё и
+// привязывает её буферы к геометрии.
+
+import { RUNTIME_CONFIG_KEYS } from './config.js';
+import { ParticleSimulation } from './simulation.js';
+
+// Сколько ждать первого кадра воркера (мс), прежде чем считать воркер неработающим
+const FIRST_FRAME_TIMEOUT_MS = 5000;
+
+// Команды, которые повторяются в симуляции главного потока после отказа воркера.
+// Снимок snapshotInsideTargets() остаётся в воркере, поэтому restoreInsideTargets() не повторяется
+const REPLAYED_COMMANDS = new Set(['morphTo', 'applyScrollSpread', 'updateSizes', 'startLoadAnimation', 'restartLoadAnimation']);
+
+// Команды, для которых важен только последний вызов подряд (скролл приходит на каждое событие)
+const COLLAPSED_COMMANDS = new Set(['applyScrollSpread', 'updateSizes']);
+
+// Буферы, которые воркер возвращает для отрисовки, и число компонент на частицу
+export const OUTPUT_BUFFERS = [
+    ['renderPositions', 3],
+    ['colors', 3],
+    ['sizes', 1],
+    ['glows', 1]
+];
+
+function createEmptyResult() {
+    return {
+        positionsChanged: false,
+        colorsChanged: false,
+        sizesChanged: false,
+        glowsChanged: false,
+        loadAnimationEnded: false,
+        morphEnded: false,
+        buffersReplaced: false,
+        spawnedWaves: []
+    };
+}
+
+// Значение CONFIG для сравнения с отправленным (объекты — по содержимому)
+function serializeValue(value) {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : value;
+}
+
+export class WorkerSimulation {
+    // Поддерживает ли браузер модульные воркеры: опцию type читают только браузеры, которые её знают
+    // (конструктор с некорректным URL затем бросает исключение, и воркер не создаётся)
+    static isSupported() {
+        if (typeof Worker === 'undefined') {
+            return false;
+        }
+        let supportsModules = false;
+        try {
+            new Worker('blob://', {
+                get type() {
+                    supportsModules = true;
+                    return 'module';
+                }
+            });
+        } catch (error) {
+            // Ожидаемо: URL некорректен
+        }
+        return supportsModules;
+    }
+
+    // onFallback(simulation) — вызывается, когда физика перешла в главный поток
+    constructor(config, { onFallback = null } = {}) {
+        this.config = config;
+        this.onFallback = onFallback;
+        // SharedArrayBuffer доступен только на cross-origin isolated страницах (COOP/COEP)
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+        this.sentConfig = new Map(); // Последние отправленные значения CONFIG
+        this.version = 0; // Номер раскладки: кадры старой раскладки не копируются в новые массивы
+        this.awaitingFrame = false;
+        this.pendingElapsed = 0;
+        this.pendingResult = createEmptyResult();
+        this.replayLog = []; // Команды с последней layoutParticles() для восстановления без воркера
+        this.firstFrameTimer = null;
+        this.receivedFrame = false;
+
+        this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.handleFrame(data);
+        this.worker.onerror = (event) => this.fallBack(event.message || event);
+
+        this.takeConfigChanges();
+        this.worker.postMessage({ type: 'init', config });
+        this.allocate(config.particleCount, false);
+    }
+
+    // Массивы для отрисовки на count частиц; keep — сохранить данные первых частиц
+    allocate(count, keep) {
+        const previous = keep ? OUTPUT_BUFFERS.map(([name]) => this[name]) : null;
+        this.totalParticleCount = count;
+        for (const [name, stride] of OUTPUT_BUFFERS) {
+            const length = count * stride;
+            this[name] = this.shared
+                ? new Float32Array(new SharedArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT))
+                : new Float32Array(length);
+        }
+        if (previous) {
+            OUTPUT_BUFFERS.forEach(([name], k) => {
+                const source = previous[k];
+                const target = this[name];
+                target.set(source.length > target.length ? source.subarray(0, target.length) : source);
+            });
+        }
+        if (this.shared) {
+            const output = Object.fromEntries(OUTPUT_BUFFERS.map(([name]) => [name, this[name]]));
+            this.post('output', { output });
+        }
+    }
+
+    // Изменённые с прошлой отправки параметры CONFIG (параметры времени выполнения ведёт воркер)
+    takeConfigChanges() {
+        let changes = null;
+        for (const [key, value] of Object.entries(this.config)) {
+            if (RUNTIME_CONFIG_KEYS.has(key)) continue;
+            const serialized = serializeValue(value);
+            if (this.sentConfig.get(key) !== serialized) {
+                this.sentConfig.set(key, serialized);
+                changes = changes || {};
+                changes[key] = value;
+            }
+        }
+        return changes;
+    }
+
+    post(type, payload = {}, transfer = []) {
+        if (!this.worker) return;
+        this.worker.postMessage({ type, ...payload, config: this.takeConfigChanges() }, transfer);
+    }
+
+    // Запоминает команду для повтора в главном потоке
+    record(method, ...args) {
+        if (method === 'layoutParticles') {
+            this.replayLog = [];
+        } else if (!REPLAYED_COMMANDS.has(method)) {
+            return;
+        }
+        const last = this.replayLog[this.replayLog.length - 1];
+        if (last && last.method === method && COLLAPSED_COMMANDS.has(method)) {
+            last.args = args;
+            return;
+        }
+        this.replayLog.push({ method, args });
+    }
+
+    // ========== КОМАНДЫ ==========
+    layoutParticles(layout) {
+        this.record('layoutParticles', layout);
+        this.version++;
+        this.post('layoutParticles', { layout, version: this.version });
+    }
+
+    morphTo(morph) {
+        this.record('morphTo', morph);
+        this.version++;
+        this.post('morphTo', { morph, version: this.version });
+    }
+
+    // Снимок хранится в воркере: restoreInsideTargets() восстанавливает последний снимок
+    snapshotInsideTargets() {
+        this.post('snapshotInsideTargets');
+        return { inWorker: true };
+    }
+
+    restoreInsideTargets() {
+        this.post('restoreInsideTargets');
+    }
+
+    applyScrollSpread(progress) {
+        this.record('applyScrollSpread', progress);
+        this.post('applyScrollSpread', { progress });
+    }
+
+    updateSizes() {
+        this.record('updateSizes');
+        this.post('updateSizes');
+    }
+
+    startLoadAnimation(time) {
+        this.record('startLoadAnimation', time);
+        this.post('startLoadAnimation', { time });
+    }
+
+    restartLoadAnimation(time) {
+        this.record('restartLoadAnimation', time);
+        this.post('restartLoadAnimation', { time });
+    }
+
+    // ========== КАДРЫ ==========
+    advance(elapsed, inputs = {}) {
+        this.pendingElapsed += elapsed;
+        if (!this.awaitingFrame && this.worker) {
+            this.awaitingFrame = true;
+            // Взрывы по клику передаются воркеру и удаляются здесь, как после шага симуляции
+            const explosions = this.config.explosions.splice(0);
+            this.post('advance', { elapsed: this.pendingElapsed, inputs, explosions });
+            this.pendingElapsed = 0;
+            if (!this.receivedFrame && this.firstFrameTimer === null) {
+                this.firstFrameTimer = setTimeout(
+                    () => this.fallBack(`нет первого кадра за ${FIRST_FRAME_TIMEOUT_MS} мс`),
+                    FIRST_FRAME_TIMEOUT_MS
+                );
+            }
+        }
+
+        const result = this.pendingResult;
+        this.pendingResult = createEmptyResult();
+        return result;
+    }
+
+    handleFrame({ type, version, total, result, output }) {
+        if (type !== 'frame' || !this.worker) {
+            return;
+        }
+        this.awaitingFrame = false;
+        this.receivedFrame = true;
+        clearTimeout(this.firstFrameTimer);
+        const pending = this.pendingResult;
+
+        if (version === this.version) {
+            // Число частиц изменилось (раскладка, морфинг, удаление погасших частиц): массивы
+            // заменяются только сейчас, с первым кадром новой раскладки
+            if (total !== this.totalParticleCount) {
+                this.allocate(total, true);
+                pending.buffersReplaced = true;
+            }
+            if (output) {
+                for (const [name] of OUTPUT_BUFFERS) {
+                    const target = this[name];
+                    const source = output[name];
+                    target.set(source.length > target.length ? source.subarray(0, target.length) : source);
+                }
+            }
+            pending.positionsChanged = true;
+            pending.colorsChanged = pending.colorsChanged || result.colorsChanged;
+            pending.sizesChanged = pending.sizesChanged || result.sizesChanged;
+            pending.glowsChanged = pending.glowsChanged || result.glowsChanged;
+        }
+        pending.loadAnimationEnded = pending.loadAnimationEnded || result.loadAnimationEnded;
+        pending.morphEnded = pending.morphEnded || result.morphEnded;
+        pending.spawnedWaves.push(...result.spawnedWaves);
+
+        // Возвращаем массивы воркеру для следующих кадров
+        if (output) {
+            this.worker.postMessage(
+                { type: 'recycle', output },
+                OUTPUT_BUFFERS.map(([name]) => output[name].buffer)
+            );
+        }
+    }
+
+    // ========== ОТКАЗ ВОРКЕРА ==========
+    // Завершает воркер и передаёт onFallback симуляцию главного потока с текущей раскладкой
+    fallBack(reason) {
+        if (!this.worker) return;
+        console.error('Воркер симуляции не работает, физика переходит в главный поток:', reason);
+        this.dispose();
+
+        const simulation = new ParticleSimulation(this.config);
+        for (const { method, args } of this.replayLog) {
+            simulation[method](...args);
+        }
+        this.replayLog = [];
+        if (this.onFallback) {
+            this.onFallback(simulation);
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.firstFrameTimer);
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}